@@ -0,0 +1,74 @@
+// ===== Alert (toast) templates =====
+// Stored in settings.json as `alerts` and applied by the overlay's alert queue.
+// Placeholders in title/body: {name} {amount} {message} {level} {count} {type}
+// plus {title} {body} (the server's pre-rendered text). Unknown or empty
+// placeholders render as '', and brackets left empty by that are dropped.
+
+const ALERT_TYPES = ['superchat', 'membership', 'gift', 'default'];
+const ANIMATIONS = ['slide', 'pop', 'fade', 'none'];
+
+const DEFAULT_ALERTS = {
+  minMs: 3000, // never shorter than this (also used when the queue is backed up)
+  maxMs: 20000, // never longer than this
+  templates: {
+    superchat: { title: 'SUPER CHAT', body: '{name}：{amount}  {message}', ms: 9000, animation: 'pop' },
+    membership: { title: 'MEMBERSHIP', body: '{name}：メンバーになりました（{level}）', ms: 9000, animation: 'slide' },
+    gift: { title: 'GIFT', body: '{name}：{message}', ms: 9000, animation: 'slide' },
+    default: { title: '{title}', body: '{body}', ms: 7000, animation: 'slide' }
+  }
+};
+
+function clampMs(v, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.round(Math.min(60_000, Math.max(500, n))) : fallback;
+}
+
+function normalizeTemplate(input, fallback) {
+  const t = (input && typeof input === 'object') ? input : {};
+  return {
+    title: typeof t.title === 'string' ? t.title.slice(0, 120) : fallback.title,
+    body: typeof t.body === 'string' ? t.body.slice(0, 300) : fallback.body,
+    ms: clampMs(t.ms, fallback.ms),
+    animation: ANIMATIONS.includes(t.animation) ? t.animation : fallback.animation
+  };
+}
+
+// Accepts partial input; anything missing/invalid falls back to the defaults.
+function normalizeAlertSettings(input) {
+  const a = (input && typeof input === 'object') ? input : {};
+  const minMs = clampMs(a.minMs, DEFAULT_ALERTS.minMs);
+  const maxMs = Math.max(minMs, clampMs(a.maxMs, DEFAULT_ALERTS.maxMs));
+  const templates = {};
+  for (const type of ALERT_TYPES) {
+    templates[type] = normalizeTemplate(a.templates?.[type], DEFAULT_ALERTS.templates[type]);
+  }
+  return { minMs, maxMs, templates };
+}
+
+// ===== Alert media bindings =====
+// Stored in settings.json as `alertMedia`: slot -> { image, sound, volume }
+// where image/sound are media library ids. `superchat:<tier>` overrides the
+// generic `superchat` slot when it has an image or a sound of its own.
+const MEDIA_SLOTS = [
+  'superchat', 'superchat:1', 'superchat:2', 'superchat:3', 'superchat:4',
+  'superchat:5', 'superchat:6', 'superchat:7', 'membership', 'gift', 'goal'
+];
+
+// isKnown(id, kind) reports whether the library has an asset of that kind;
+// unknown ids (e.g. deleted files) are dropped. Empty slots are omitted.
+function normalizeAlertMedia(input, isKnown) {
+  const src = (input && typeof input === 'object') ? input : {};
+  const out = {};
+  for (const slot of MEDIA_SLOTS) {
+    const b = src[slot];
+    if (!b || typeof b !== 'object') continue;
+    const image = typeof b.image === 'string' && isKnown(b.image, 'image') ? b.image : null;
+    const sound = typeof b.sound === 'string' && isKnown(b.sound, 'audio') ? b.sound : null;
+    if (!image && !sound) continue;
+    const vol = Number(b.volume);
+    out[slot] = { image, sound, volume: Number.isFinite(vol) ? Math.min(1, Math.max(0, vol)) : 0.8 };
+  }
+  return out;
+}
+
+module.exports = { normalizeAlertSettings, normalizeAlertMedia, DEFAULT_ALERTS, ALERT_TYPES, ANIMATIONS, MEDIA_SLOTS };
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+
+// ===== Rotating announcements =====
+// Stored in settings.json as `announcements` (per tenant, shared by all
+// profiles). The overlay rotates the items in the bottom-bar title box; items
+// targeting the chat are posted by the server as system bubbles.
+//
+// Item:
+//   { id, text, enabled, target: title|chat|both, dwellMs, transition: fade|slide|none,
+//     schedule: { type: always|window|interval, start, end, everyMin } }
+//   window:   shown only between start and end (ISO date-times, either may be empty)
+//   interval: shown / posted once every `everyMin` minutes
+
+const TARGETS = ['title', 'chat', 'both'];
+const TRANSITIONS = ['fade', 'slide', 'none'];
+const SCHEDULES = ['always', 'window', 'interval'];
+const MAX_ITEMS = 50;
+
+function clampInt(v, min, max, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.round(Math.min(max, Math.max(min, n))) : fallback;
+}
+
+function isoOrEmpty(v) {
+  if (typeof v !== 'string' || !v) return '';
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? new Date(t).toISOString() : '';
+}
+
+function normalizeItem(input) {
+  const a = (input && typeof input === 'object') ? input : {};
+  const s = (a.schedule && typeof a.schedule === 'object') ? a.schedule : {};
+  const type = SCHEDULES.includes(s.type) ? s.type : 'always';
+  return {
+    id: typeof a.id === 'string' && /^[a-z0-9]{1,24}$/.test(a.id) ? a.id : crypto.randomBytes(4).toString('hex'),
+    text: String(a.text || '').replace(/[\r\n\t]+/g, ' ').trim().slice(0, 300),
+    enabled: a.enabled !== false,
+    target: TARGETS.includes(a.target) ? a.target : 'title',
+    dwellMs: clampInt(a.dwellMs, 2000, 300000, 10000),
+    transition: TRANSITIONS.includes(a.transition) ? a.transition : 'fade',
+    schedule: {
+      type,
+      start: type === 'window' ? isoOrEmpty(s.start) : '',
+      end: type === 'window' ? isoOrEmpty(s.end) : '',
+      everyMin: type === 'interval' ? clampInt(s.everyMin, 1, 24 * 60, 20) : 0
+    }
+  };
+}
+
+// Keeps the given order (that is the rotation order); drops empty items.
+function normalizeAnnouncements(input) {
+  const list = Array.isArray(input) ? input : (Array.isArray(input?.items) ? input.items : []);
+  return list.map(normalizeItem).filter((a) => a.text).slice(0, MAX_ITEMS);
+}
+
+// Posts `interval` items that target the chat, every `everyMin` minutes,
+// while `isActive()` (comment fetching is ON). The first post of an item
+// happens one interval after it is first seen, not at boot.
+function createAnnouncementScheduler({ getItems, isActive, publish, tickMs = 30 * 1000 }) {
+  const lastPosted = new Map(); // id -> ms
+  let timer = null;
+
+  function tick(now = Date.now()) {
+    const items = getItems().filter((a) => a.enabled && a.target !== 'title' && a.schedule.type === 'interval');
+    const ids = new Set(items.map((a) => a.id));
+    for (const id of lastPosted.keys()) if (!ids.has(id)) lastPosted.delete(id);
+    if (!isActive()) {
+      lastPosted.clear();
+      return;
+    }
+    for (const a of items) {
+      if (!lastPosted.has(a.id)) {
+        lastPosted.set(a.id, now);
+        continue;
+      }
+      if (now - lastPosted.get(a.id) >= a.schedule.everyMin * 60 * 1000) {
+        lastPosted.set(a.id, now);
+        publish({ kind: 'system', id: `ann:${a.id}:${now}`, text: a.text, ts: new Date(now).toISOString() });
+      }
+    }
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        try { tick(); } catch (_) { /* ignore */ }
+      }, tickMs);
+      timer.unref?.();
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    tick
+  };
+}
+
+module.exports = { normalizeAnnouncements, createAnnouncementScheduler, TARGETS, TRANSITIONS, SCHEDULES };
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ===== API keys (automation API) =====
+// Revocable keys for Stream Deck plugins and scripts, each limited to a set of
+// scopes (see lib/automation.js), so they never need the control password.
+// Only a SHA-256 of the key is stored, per tenant (apikeys.json):
+//   { keys: [{ id, name, scopes, hash, createdAt, lastUsedAt, revokedAt }] }
+// Key format: "ssk_<id>_<secret>". The full key is returned once, on creation.
+
+const MAX_ACTIVE_KEYS = 20;
+const MAX_KEYS = 50; // revoked keys are kept (newest first) for reference
+const KEY_RE = /^ssk_([0-9a-f]{8})_([A-Za-z0-9_-]{43})$/;
+const TOUCH_MS = 60 * 1000; // lastUsedAt is written at most this often
+
+function fail(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+function hashOf(token) {
+  return crypto.createHash('sha256').update(token, 'utf8').digest('hex');
+}
+
+function view(k) {
+  const { hash, ...rest } = k;
+  return { ...rest, scopes: k.scopes.slice(), active: !k.revokedAt };
+}
+
+function createApiKeys({ filePath, scopes: knownScopes }) {
+  let state = null;
+
+  function load() {
+    if (state) return state;
+    state = { keys: [] };
+    try {
+      if (fs.existsSync(filePath)) {
+        const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        state.keys = (Array.isArray(json?.keys) ? json.keys : [])
+          .filter((k) => k && /^[0-9a-f]{8}$/.test(k.id) && typeof k.hash === 'string')
+          .map((k) => ({ ...k, scopes: (Array.isArray(k.scopes) ? k.scopes : []).filter((s) => knownScopes.includes(s)) }));
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[api-keys] failed to read keys, starting empty', e);
+    }
+    return state;
+  }
+
+  function save() {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2), 'utf8');
+    fs.renameSync(tmp, filePath);
+  }
+
+  return {
+    list() {
+      return load().keys.map(view);
+    },
+
+    // { name, scopes } -> { key, token }
+    create({ name, scopes } = {}) {
+      const s = load();
+      const list = [...new Set(Array.isArray(scopes) ? scopes : [])];
+      if (!list.length || list.some((sc) => !knownScopes.includes(sc))) throw fail('invalid_scopes');
+      if (s.keys.filter((k) => !k.revokedAt).length >= MAX_ACTIVE_KEYS) throw fail('too_many_keys');
+      let id;
+      do { id = crypto.randomBytes(4).toString('hex'); } while (s.keys.some((k) => k.id === id));
+      const token = `ssk_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+      const key = {
+        id,
+        name: String(name || '').replace(/[\r\n\t]+/g, ' ').trim().slice(0, 60) || `key-${id}`,
+        scopes: knownScopes.filter((sc) => list.includes(sc)),
+        hash: hashOf(token),
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null
+      };
+      s.keys = [key, ...s.keys].slice(0, MAX_KEYS);
+      save();
+      return { key: view(key), token };
+    },
+
+    revoke(id) {
+      const k = load().keys.find((x) => x.id === id);
+      if (!k) throw fail('key_not_found');
+      if (!k.revokedAt) {
+        k.revokedAt = new Date().toISOString();
+        save();
+      }
+      return view(k);
+    },
+
+    // Token from a request -> key view, or null (unknown, malformed or revoked).
+    authenticate(token) {
+      const m = KEY_RE.exec(String(token || ''));
+      if (!m) return null;
+      const k = load().keys.find((x) => x.id === m[1]);
+      if (!k || k.revokedAt) return null;
+      const a = Buffer.from(hashOf(m[0]), 'hex');
+      const b = Buffer.from(k.hash, 'hex');
+      if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+      const now = Date.now();
+      if (!k.lastUsedAt || now - Date.parse(k.lastUsedAt) > TOUCH_MS) {
+        k.lastUsedAt = new Date(now).toISOString();
+        try { save(); } catch (_) { /* ignore */ }
+      }
+      return view(k);
+    },
+
+    isActive(id) {
+      return load().keys.some((k) => k.id === id && !k.revokedAt);
+    }
+  };
+}
+
+module.exports = { createApiKeys };
@@ -0,0 +1,173 @@
+// ===== Automation API (WebSocket / HTTP commands) =====
+// Lets Stream Deck plugins and scripts drive the overlay with an API key
+// (lib/api-keys.js) instead of the control password. One hub per tenant.
+//
+//   WebSocket  /api/automation/ws?key=<key>   (or Authorization: Bearer <key>)
+//   HTTP       POST /api/automation            (Authorization: Bearer <key>)
+//
+// Request:   { id?, cmd, params? }
+// Response:  { type: 'result', id, cmd, ok: true, result } | { type: 'result', id, cmd, ok: false, error }
+// Pushed (WebSocket only):
+//   { type: 'hello', key, commands, state }    right after connecting
+//   { type: 'state', reason, state }           after a change (from any client or /control):
+//                                              reason = youtube | timer | settings
+//
+// `state` is what the commands change: { youtube: { enabled, mode }, timer, announce, hiddenRegions }.
+
+const SCOPES = ['alerts', 'announce', 'youtube', 'timer', 'overlay'];
+const STATE_KINDS = ['youtube', 'timer', 'settings'];
+const YOUTUBE_MODES = ['off', 'on', 'auto'];
+const MAX_TOAST_MS = 60 * 1000;
+
+function fail(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+function cleanText(v, max) {
+  return String(v ?? '').replace(/[\r\n\t]+/g, ' ').trim().slice(0, max);
+}
+
+function timerCommand(action) {
+  return { scope: 'timer', help: `タイマーを${{ start: '開始', pause: '一時停止', resume: '再開', reset: 'リセット' }[action]}`, run: (h) => h.timer(action) };
+}
+
+// cmd -> { scope, help, run(handlers, params, key) }. handlers are the tenant's
+// actions (see server.js); params are validated here. `key` (the caller) goes
+// to the settings history.
+const COMMANDS = {
+  'state.get': { scope: null, help: '現在の状態', run: (h) => h.getState() },
+  'alert.show': {
+    scope: 'alerts',
+    help: '通知（トースト）を表示 { title, body, ms }',
+    run: (h, p) => {
+      const title = cleanText(p.title, 80);
+      const body = cleanText(p.body, 300);
+      if (!title && !body) throw fail('invalid_params');
+      const ms = Number(p.ms);
+      return h.toast({ title, body, ms: Number.isFinite(ms) ? Math.round(Math.min(MAX_TOAST_MS, Math.max(1000, ms))) : 7000 });
+    }
+  },
+  'announce.set': {
+    scope: 'announce',
+    help: 'お知らせ（タイトル欄の固定文）を変更 { text }',
+    run: (h, p, key) => {
+      if (typeof p.text !== 'string') throw fail('invalid_params');
+      return h.setAnnounce(cleanText(p.text, 200), key);
+    }
+  },
+  'youtube.set': {
+    scope: 'youtube',
+    help: 'YouTube コメント取得の ON/OFF { enabled } または { mode: off|on|auto }',
+    run: (h, p) => {
+      if (typeof p.enabled === 'boolean') return h.setYouTube(p.enabled ? 'on' : 'off');
+      if (!YOUTUBE_MODES.includes(p.mode)) throw fail('invalid_params');
+      return h.setYouTube(p.mode);
+    }
+  },
+  'youtube.toggle': { scope: 'youtube', help: 'YouTube コメント取得の ON/OFF を切り替え', run: (h) => h.setYouTube(h.getState().youtube.enabled ? 'off' : 'on') },
+  'timer.start': timerCommand('start'),
+  'timer.pause': timerCommand('pause'),
+  'timer.resume': timerCommand('resume'),
+  'timer.reset': timerCommand('reset'),
+  'timer.add': {
+    scope: 'timer',
+    help: 'タイマーに秒数を足す（マイナスで減らす） { seconds }',
+    run: (h, p) => h.timer('add', Number(p.seconds))
+  },
+  'regions.set': {
+    scope: 'overlay',
+    help: '配信画面の領域の表示/非表示 { chat: false, goals: true, ... }',
+    run: (h, p, key) => {
+      const entries = Object.entries(p).filter(([, v]) => typeof v === 'boolean');
+      if (!entries.length) throw fail('invalid_params');
+      return h.setRegions(Object.fromEntries(entries), key);
+    }
+  }
+};
+
+function listCommands() {
+  return Object.entries(COMMANDS).map(([cmd, c]) => ({ cmd, scope: c.scope, help: c.help }));
+}
+
+// handlers: { getState, toast, setAnnounce(text, key), setYouTube(mode), timer(action, seconds), setRegions(map, key) }
+// isKeyActive(id): keys revoked while connected stop working immediately.
+function createAutomation({ handlers, isKeyActive }) {
+  const clients = new Set(); // { key, conn }
+
+  function send(client, obj) {
+    client.conn?.send(JSON.stringify(obj));
+  }
+
+  // One request -> one result (never throws).
+  function execute(key, msg) {
+    const m = (msg && typeof msg === 'object') ? msg : {};
+    const id = typeof m.id === 'string' || typeof m.id === 'number' ? m.id : null;
+    const cmd = typeof m.cmd === 'string' ? m.cmd : '';
+    const reply = (fields) => ({ type: 'result', id, cmd, ...fields });
+    const c = Object.prototype.hasOwnProperty.call(COMMANDS, cmd) ? COMMANDS[cmd] : null;
+    if (!c) return reply({ ok: false, error: 'unknown_command' });
+    if (!isKeyActive(key.id)) return reply({ ok: false, error: 'key_revoked' });
+    if (c.scope && !key.scopes.includes(c.scope)) return reply({ ok: false, error: 'forbidden_scope' });
+    try {
+      const params = (m.params && typeof m.params === 'object') ? m.params : {};
+      return reply({ ok: true, result: c.run(handlers, params, key) ?? null });
+    } catch (e) {
+      if (e?.code) return reply({ ok: false, error: e.code });
+      // eslint-disable-next-line no-console
+      console.error('[automation] command failed', cmd, e);
+      return reply({ ok: false, error: 'internal_error' });
+    }
+  }
+
+  return {
+    execute,
+
+    // open(events) performs the WebSocket handshake with the given callbacks
+    // and returns the connection (or null).
+    connect(key, open) {
+      const client = { key, conn: null };
+      client.conn = open({
+        onMessage(text) {
+          let msg = null;
+          try { msg = JSON.parse(text); } catch (_) { /* ignore */ }
+          send(client, msg ? execute(client.key, msg) : { type: 'result', id: null, cmd: '', ok: false, error: 'invalid_json' });
+        },
+        onClose() {
+          clients.delete(client);
+        }
+      });
+      if (!client.conn) return;
+      clients.add(client);
+      send(client, {
+        type: 'hello',
+        key: { id: key.id, name: key.name, scopes: key.scopes },
+        commands: listCommands().filter((c) => !c.scope || key.scopes.includes(c.scope)),
+        state: handlers.getState()
+      });
+    },
+
+    // A state change (event kind). Other kinds are ignored.
+    notify(reason) {
+      if (!clients.size || !STATE_KINDS.includes(reason)) return;
+      let state = null;
+      try { state = handlers.getState(); } catch (_) { return; }
+      for (const client of clients) send(client, { type: 'state', reason, state });
+    },
+
+    // Closes the connections of a revoked key.
+    disconnectKey(id) {
+      for (const client of clients) {
+        if (client.key.id === id) client.conn.close(4001, 'key revoked');
+      }
+    },
+
+    close() {
+      for (const client of clients) client.conn.close(1001, 'going away');
+      clients.clear();
+    },
+
+    size: () => clients.size
+  };
+}
+
+module.exports = { createAutomation, listCommands, SCOPES };
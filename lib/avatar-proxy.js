@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ===== Avatar image proxy (with disk cache) =====
+// Chat avatars are served from our own origin so OBS / the overlay isn't
+// affected by hotlink protection or third-party cookie rules, and each image
+// is fetched from Google only once per `maxAgeMs`.
+// Only YouTube/Google image hosts and Twitch's emote CDN are allowed (this is
+// not an open proxy). The route is public, so URLs are normalized before they
+// are cached (no query, one size per Google image) and the cache is bounded by
+// file count and total bytes, dropping the least recently used images first.
+
+const ALLOWED_HOSTS = new Set([
+  'yt3.ggpht.com', 'yt4.ggpht.com', 'yt3.googleusercontent.com', 'lh3.googleusercontent.com',
+  'static-cdn.jtvnw.net'
+]);
+const ALLOWED_TYPES = new Set(['image/jpeg', 'image/png', 'image/webp', 'image/gif']);
+const GOOGLE_HOSTS = new Set(['yt3.ggpht.com', 'yt4.ggpht.com', 'yt3.googleusercontent.com', 'lh3.googleusercontent.com']);
+// Google image options (`=s88-c-k-c0x00ffffff-no-rj`, `=w48-h48-c-k-nd`, ...)
+// are replaced by one size, so the same image is cached once.
+const GOOGLE_SIZE = 's64';
+
+function isAllowedAvatarUrl(raw) {
+  try {
+    const u = new URL(String(raw || ''));
+    return u.protocol === 'https:' && ALLOWED_HOSTS.has(u.hostname);
+  } catch (_) {
+    return false;
+  }
+}
+
+// The URL that is fetched and cached (call with an allowed URL).
+function normalizeAvatarUrl(raw) {
+  const u = new URL(String(raw));
+  u.search = '';
+  u.hash = '';
+  if (GOOGLE_HOSTS.has(u.hostname)) {
+    const i = u.pathname.lastIndexOf('/');
+    const last = u.pathname.slice(i + 1).replace(/=[^/]*$/, '');
+    u.pathname = `${u.pathname.slice(0, i + 1)}${last}=${GOOGLE_SIZE}`;
+  }
+  return u.toString();
+}
+
+function createAvatarProxy({
+  dir,
+  maxAgeMs = 24 * 60 * 60 * 1000,
+  maxBytes = 512 * 1024,
+  maxFiles = 2000,
+  maxCacheBytes = 100 * 1024 * 1024,
+  timeoutMs = 8000
+}) {
+  const inflight = new Map(); // key -> Promise<{ file, type } | null>
+  // key -> bytes on disk, least recently used first (loaded from the
+  // directory on first use, ordered by mtime; hits touch the image).
+  let index = null;
+  let totalBytes = 0;
+
+  function keyOf(url) {
+    return crypto.createHash('sha1').update(url).digest('hex');
+  }
+
+  function loadIndex() {
+    if (index) return index;
+    index = new Map();
+    totalBytes = 0;
+    const entries = [];
+    try {
+      if (fs.existsSync(dir)) {
+        for (const f of fs.readdirSync(dir)) {
+          if (!f.endsWith('.img')) continue;
+          const st = fs.statSync(path.join(dir, f));
+          entries.push({ key: f.slice(0, -4), bytes: st.size, usedAt: st.mtimeMs });
+        }
+      }
+    } catch (_) {
+      // ignore
+    }
+    entries.sort((a, b) => a.usedAt - b.usedAt);
+    for (const e of entries) {
+      index.set(e.key, e.bytes);
+      totalBytes += e.bytes;
+    }
+    return index;
+  }
+
+  function removeFiles(key) {
+    for (const ext of ['.img', '.json']) {
+      try { fs.unlinkSync(path.join(dir, `${key}${ext}`)); } catch (_) { /* ignore */ }
+    }
+    if (index && index.has(key)) {
+      totalBytes -= index.get(key);
+      index.delete(key);
+    }
+  }
+
+  function track(key, bytes) {
+    const idx = loadIndex();
+    if (idx.has(key)) totalBytes -= idx.get(key);
+    idx.delete(key);
+    idx.set(key, bytes);
+    totalBytes += bytes;
+    for (const oldest of idx.keys()) {
+      if (idx.size <= maxFiles && totalBytes <= maxCacheBytes) break;
+      if (oldest === key) break;
+      removeFiles(oldest);
+    }
+  }
+
+  function touch(key) {
+    const idx = loadIndex();
+    if (!idx.has(key)) return;
+    const bytes = idx.get(key);
+    idx.delete(key);
+    idx.set(key, bytes);
+    const now = new Date();
+    try { fs.utimesSync(path.join(dir, `${key}.img`), now, now); } catch (_) { /* ignore */ }
+  }
+
+  function cached(key) {
+    const meta = path.join(dir, `${key}.json`);
+    try {
+      const m = JSON.parse(fs.readFileSync(meta, 'utf8'));
+      if (Date.now() - m.fetchedAt > maxAgeMs) return null;
+      touch(key);
+      return { file: path.join(dir, `${key}.img`), type: m.type };
+    } catch (_) {
+      return null;
+    }
+  }
+
+  async function download(url, key) {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    try {
+      const r = await fetch(url, { signal: ctrl.signal, redirect: 'error' });
+      const type = String(r.headers.get('content-type') || '').split(';')[0].trim();
+      if (!r.ok || !ALLOWED_TYPES.has(type)) return null;
+      const buf = Buffer.from(await r.arrayBuffer());
+      if (buf.length > maxBytes) return null;
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `${key}.img`);
+      fs.writeFileSync(file, buf);
+      fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify({ url, type, fetchedAt: Date.now() }), 'utf8');
+      track(key, buf.length);
+      return { file, type };
+    } catch (_) {
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // `url` must be allowed (see isAllowedAvatarUrl).
+  function get(raw) {
+    const url = normalizeAvatarUrl(raw);
+    const key = keyOf(url);
+    const hit = cached(key);
+    if (hit) return Promise.resolve(hit);
+    if (!inflight.has(key)) {
+      inflight.set(key, download(url, key).finally(() => inflight.delete(key)));
+    }
+    return inflight.get(key);
+  }
+
+  // Express handler: GET ...?u=<avatar url>
+  async function handle(req, res) {
+    const url = typeof req.query.u === 'string' ? req.query.u : '';
+    if (!isAllowedAvatarUrl(url)) {
+      res.status(400).json({ ok: false, error: 'invalid_url' });
+      return;
+    }
+    const img = await get(url);
+    if (!img) {
+      res.status(502).json({ ok: false, error: 'fetch_failed' });
+      return;
+    }
+    res.setHeader('Content-Type', img.type);
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.sendFile(img.file);
+  }
+
+  // Drop images not used for a long time (the size bound is kept on every
+  // download; this also clears metadata left without an image).
+  function prune(olderThanMs = 7 * maxAgeMs) {
+    let removed = 0;
+    try {
+      if (!fs.existsSync(dir)) return 0;
+      const cutoff = Date.now() - olderThanMs;
+      const keys = new Set(fs.readdirSync(dir).map((f) => f.replace(/\.(img|json)$/, '')));
+      for (const key of keys) {
+        let usedAt = 0; // metadata without an image
+        try { usedAt = fs.statSync(path.join(dir, `${key}.img`)).mtimeMs; } catch (_) { /* ignore */ }
+        if (usedAt < cutoff) {
+          removeFiles(key);
+          removed += 1;
+        }
+      }
+    } catch (_) {
+      // ignore
+    }
+    return removed;
+  }
+
+  return { handle, get, prune };
+}
+
+module.exports = { createAvatarProxy, isAllowedAvatarUrl, normalizeAvatarUrl };
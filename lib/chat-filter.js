@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+
+// ===== Chat moderation filter =====
+// Server-side rules applied before a chat message reaches the overlay.
+// Managed from /control and stored per tenant (moderation.json).
+// The channel owner and moderators bypass content rules.
+
+const MODES = ['all', 'members', 'mods'];
+
+const DEFAULT_RULES = {
+  mode: 'all', // all | members (members/mods/owner only) | mods (mods/owner only)
+  ngWords: [], // case-insensitive substrings
+  ngRegex: [], // JS regex sources, case-insensitive
+  blockedChannels: [], // author channel ids
+  blockLinks: false,
+  maxCapsRatio: 0, // 0 = off; e.g. 0.7 hides messages that are >70% upper case
+  minCapsLength: 10, // caps rule only applies to messages with at least this many letters
+  maxEmoji: 0, // 0 = off; hides messages with more emoji than this
+  maxRepeat: 0 // 0 = off; hides messages with a run of the same character longer than this
+};
+
+const LINK_RE = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|jp|io|ly|gg|tv|me|co|xyz)\b/i;
+// Unicode emoji plus YouTube's custom emoji shortcodes (":face-blue-smiling:").
+const EMOJI_RE = /\p{Extended_Pictographic}|:[A-Za-z0-9_-]+:/gu;
+const MAX_LIST = 500;
+
+function cleanList(v, maxLen = 100) {
+  const arr = Array.isArray(v) ? v : String(v || '').split('\n');
+  return [...new Set(arr.map((s) => String(s).trim()).filter(Boolean).map((s) => s.slice(0, maxLen)))].slice(0, MAX_LIST);
+}
+
+function clampNum(v, min, max, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+// Validates user input; throws Error with `code` (mapped to 400 by the route).
+function normalizeRules(input = {}) {
+  const r = { ...DEFAULT_RULES };
+  if (input.mode !== undefined) {
+    if (!MODES.includes(input.mode)) throw Object.assign(new Error('invalid_mode'), { code: 'invalid_mode' });
+    r.mode = input.mode;
+  }
+  r.ngWords = cleanList(input.ngWords);
+  r.ngRegex = cleanList(input.ngRegex, 200);
+  for (const src of r.ngRegex) {
+    try {
+      // eslint-disable-next-line no-new
+      new RegExp(src, 'iu');
+    } catch (_) {
+      throw Object.assign(new Error('invalid_regex'), { code: 'invalid_regex', detail: src });
+    }
+  }
+  r.blockedChannels = cleanList(input.blockedChannels, 64);
+  r.blockLinks = Boolean(input.blockLinks);
+  r.maxCapsRatio = clampNum(input.maxCapsRatio, 0, 1, 0);
+  r.minCapsLength = clampNum(input.minCapsLength, 1, 200, DEFAULT_RULES.minCapsLength);
+  r.maxEmoji = Math.floor(clampNum(input.maxEmoji, 0, 200, 0));
+  r.maxRepeat = Math.floor(clampNum(input.maxRepeat, 0, 200, 0));
+  return r;
+}
+
+function compile(rules) {
+  return {
+    ...rules,
+    words: rules.ngWords.map((w) => w.toLowerCase()),
+    regexes: rules.ngRegex.map((src) => new RegExp(src, 'iu')),
+    blocked: new Set(rules.blockedChannels)
+  };
+}
+
+function createChatFilter({ filePath }) {
+  let rules = null;
+  let compiled = null;
+
+  function load() {
+    if (compiled) return compiled;
+    rules = { ...DEFAULT_RULES };
+    try {
+      if (fs.existsSync(filePath)) {
+        rules = normalizeRules(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[moderation] failed to read rules, using defaults', e);
+      rules = { ...DEFAULT_RULES };
+    }
+    compiled = compile(rules);
+    return compiled;
+  }
+
+  function save() {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(rules, null, 2), 'utf8');
+    fs.renameSync(tmp, filePath);
+  }
+
+  // msg: { text, channelId, isOwner, isMod, isMember }
+  // Returns { allowed: true } or { allowed: false, reason }.
+  function check(msg) {
+    const c = load();
+    if (msg.channelId && c.blocked.has(msg.channelId)) return { allowed: false, reason: 'blocked_author' };
+    if (msg.isOwner || msg.isMod) return { allowed: true };
+
+    if (c.mode === 'mods') return { allowed: false, reason: 'mods_only' };
+    if (c.mode === 'members' && !msg.isMember) return { allowed: false, reason: 'members_only' };
+
+    const text = String(msg.text || '');
+    const lower = text.toLowerCase();
+    if (c.words.some((w) => lower.includes(w))) return { allowed: false, reason: 'ng_word' };
+    if (c.regexes.some((re) => re.test(text))) return { allowed: false, reason: 'ng_regex' };
+    if (c.blockLinks && LINK_RE.test(text)) return { allowed: false, reason: 'link' };
+
+    if (c.maxCapsRatio > 0) {
+      const letters = text.match(/[A-Za-z]/g) || [];
+      if (letters.length >= c.minCapsLength) {
+        const upper = letters.filter((ch) => ch >= 'A' && ch <= 'Z').length;
+        if (upper / letters.length > c.maxCapsRatio) return { allowed: false, reason: 'caps' };
+      }
+    }
+    if (c.maxEmoji > 0 && (text.match(EMOJI_RE) || []).length > c.maxEmoji) {
+      return { allowed: false, reason: 'emoji_spam' };
+    }
+    if (c.maxRepeat > 0 && new RegExp(`(.)\\1{${c.maxRepeat},}`, 'u').test(text)) {
+      return { allowed: false, reason: 'repeat_spam' };
+    }
+    return { allowed: true };
+  }
+
+  return {
+    check,
+    getRules() {
+      load();
+      return { ...rules };
+    },
+    setRules(input) {
+      rules = normalizeRules(input);
+      compiled = compile(rules);
+      save();
+      return { ...rules };
+    },
+    blockChannel(channelId) {
+      load();
+      if (!channelId || rules.blockedChannels.includes(channelId)) return;
+      rules = { ...rules, blockedChannels: [...rules.blockedChannels, String(channelId)].slice(-MAX_LIST) };
+      compiled = compile(rules);
+      save();
+    }
+  };
+}
+
+module.exports = { createChatFilter, normalizeRules, DEFAULT_RULES };
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+
+// ===== Persistent chat history =====
+// Every chat item / special event the poller broadcasts is also appended to a
+// per-broadcast JSONL file, so it survives the overlay's DOM cap and restarts.
+//
+// Layout (per tenant):
+//   <dir>/index.json            { retentionDays, broadcasts: [{ id, title, source, firstAt, lastAt, count, specials }] }
+//   <dir>/<broadcastId>.jsonl   one record per line (see toHistoryRecord in chat-pipeline)
+
+const RECORD_TYPES = ['chat', 'superchat', 'membership', 'gift'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OPEN_BROADCASTS = 4;
+
+// Broadcast ids come from the chat sources (YouTube, Twitch, ...); keep them file-name safe.
+function safeId(id) {
+  return String(id || '').replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64);
+}
+
+function csvCell(v) {
+  let s = v === null || v === undefined ? '' : String(v);
+  // Names and comments come from chat: a leading = + - @ (or tab / CR) would
+  // run as a formula in Excel, so such text cells are prefixed with '.
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const CSV_COLUMNS = [
+  'publishedAt', 'type', 'name', 'channelId', 'role', 'text',
+  'amount', 'amountMicros', 'currency', 'tier', 'level', 'giftCount', 'id', 'platform'
+];
+
+function toCsv(records) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const r of records) lines.push(CSV_COLUMNS.map((c) => csvCell(r[c])).join(','));
+  // BOM so Excel opens Japanese names correctly.
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+function toJsonl(records) {
+  return records.map((r) => JSON.stringify(r)).join('\n') + (records.length ? '\n' : '');
+}
+
+function createChatHistory({ dir, retentionDays = 30 }) {
+  const indexPath = path.join(dir, 'index.json');
+  let index = null;
+  // Ids already stored for the broadcasts currently being written (dedupe
+  // across page-token resets and replay loops). Several at once when
+  // simulcasting (one per chat source).
+  const seen = new Map(); // broadcastId -> Set of ids
+
+  function load() {
+    if (index) return index;
+    index = { retentionDays: Number(retentionDays) || 0, broadcasts: [] };
+    try {
+      if (fs.existsSync(indexPath)) {
+        const json = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+        if (Number.isFinite(Number(json?.retentionDays))) index.retentionDays = Number(json.retentionDays);
+        if (Array.isArray(json?.broadcasts)) index.broadcasts = json.broadcasts.filter((b) => b && b.id);
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[history] failed to read index', e);
+    }
+    return index;
+  }
+
+  function saveIndex() {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${indexPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(index, null, 2), 'utf8');
+    fs.renameSync(tmp, indexPath);
+  }
+
+  function filePathOf(broadcastId) {
+    return path.join(dir, `${safeId(broadcastId)}.jsonl`);
+  }
+
+  function readRecords(broadcastId) {
+    const file = filePathOf(broadcastId);
+    if (!fs.existsSync(file)) return [];
+    const out = [];
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        out.push(JSON.parse(line));
+      } catch (_) {
+        // skip broken lines (e.g. crash mid-write)
+      }
+    }
+    return out;
+  }
+
+  function seenIdsFor(broadcastId) {
+    let ids = seen.get(broadcastId);
+    if (!ids) {
+      ids = new Set(readRecords(broadcastId).map((r) => r.id));
+      seen.set(broadcastId, ids);
+      if (seen.size > MAX_OPEN_BROADCASTS) seen.delete(seen.keys().next().value);
+    }
+    return ids;
+  }
+
+  // Append one poll's worth of records. `broadcast` is { id, title, source }.
+  // Returns the records that were new (not stored before).
+  function append(broadcast, records) {
+    if (!broadcast?.id || !records?.length) return [];
+    load();
+    const ids = seenIdsFor(broadcast.id);
+    const fresh = records.filter((r) => r && r.id && !ids.has(r.id));
+    if (!fresh.length) return [];
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(filePathOf(broadcast.id), toJsonl(fresh), 'utf8');
+    for (const r of fresh) ids.add(r.id);
+
+    const now = new Date().toISOString();
+    let entry = index.broadcasts.find((b) => b.id === broadcast.id);
+    if (!entry) {
+      entry = { id: broadcast.id, title: broadcast.title || '', source: broadcast.source || 'youtube', firstAt: now, lastAt: now, count: 0, specials: 0 };
+      index.broadcasts.push(entry);
+      // A new broadcast is a good moment to drop old ones.
+      prune();
+    }
+    if (broadcast.title) entry.title = broadcast.title;
+    entry.lastAt = now;
+    entry.count += fresh.length;
+    entry.specials += fresh.filter((r) => r.type !== 'chat').length;
+    saveIndex();
+    return fresh;
+  }
+
+  // Drop broadcasts whose last message is older than the retention window.
+  // retentionDays <= 0 keeps everything.
+  function prune() {
+    load();
+    const days = Number(index.retentionDays) || 0;
+    if (days <= 0) return 0;
+    const cutoff = Date.now() - days * DAY_MS;
+    const expired = index.broadcasts.filter((b) => new Date(b.lastAt).getTime() < cutoff);
+    if (!expired.length) return 0;
+    for (const b of expired) {
+      try { fs.unlinkSync(filePathOf(b.id)); } catch (_) { /* ignore */ }
+      seen.delete(b.id);
+    }
+    index.broadcasts = index.broadcasts.filter((b) => !expired.includes(b));
+    saveIndex();
+    return expired.length;
+  }
+
+  function listBroadcasts() {
+    return load().broadcasts.slice().sort((a, b) => (a.lastAt < b.lastAt ? 1 : -1));
+  }
+
+  // Filters: { q, author, type, members, from, to }
+  //   type: chat | superchat | membership | gift | special (= anything but chat)
+  function matches(r, { q, author, type, members, from, to }) {
+    if (type === 'special' ? r.type === 'chat' : (type && r.type !== type)) return false;
+    if (members && !(r.isMember || r.type === 'membership')) return false;
+    if (q && !String(r.text || '').toLowerCase().includes(q)) return false;
+    if (author && !String(r.name || '').toLowerCase().includes(author) && r.channelId !== author) return false;
+    const at = r.publishedAt || r.receivedAt || '';
+    if (from && at < from) return false;
+    if (to && at > to) return false;
+    return true;
+  }
+
+  function normalizeFilters(f = {}) {
+    return {
+      q: f.q ? String(f.q).toLowerCase() : '',
+      author: f.author ? String(f.author).toLowerCase() : '',
+      type: RECORD_TYPES.includes(f.type) || f.type === 'special' ? f.type : '',
+      members: Boolean(f.members),
+      from: f.from ? String(f.from) : '',
+      to: f.to ? String(f.to) : ''
+    };
+  }
+
+  // Defaults to the most recent broadcast. Returns records oldest-first.
+  function search({ broadcastId, ...filters } = {}) {
+    const id = broadcastId || listBroadcasts()[0]?.id;
+    if (!id) return { broadcast: null, records: [] };
+    const broadcast = load().broadcasts.find((b) => b.id === id) || null;
+    if (!broadcast) return { broadcast: null, records: [] };
+    const f = normalizeFilters(filters);
+    return { broadcast, records: readRecords(id).filter((r) => matches(r, f)) };
+  }
+
+  // Paged view for the API: newest-first, `offset` counts from the newest.
+  function query({ offset = 0, limit = 100, ...rest } = {}) {
+    const { broadcast, records } = search(rest);
+    const lim = Math.min(500, Math.max(1, Number(limit) || 100));
+    const off = Math.max(0, Number(offset) || 0);
+    const newestFirst = records.slice().reverse();
+    return {
+      broadcast,
+      total: records.length,
+      offset: off,
+      limit: lim,
+      items: newestFirst.slice(off, off + lim)
+    };
+  }
+
+  function exportAs(format, filters) {
+    const { broadcast, records } = search(filters);
+    return {
+      broadcast,
+      body: format === 'csv' ? toCsv(records) : toJsonl(records),
+      count: records.length
+    };
+  }
+
+  return {
+    append,
+    prune,
+    listBroadcasts,
+    query,
+    exportAs,
+    getRetentionDays: () => load().retentionDays,
+    setRetentionDays(days) {
+      load();
+      index.retentionDays = Math.max(0, Math.floor(Number(days) || 0));
+      saveIndex();
+      prune();
+      return index.retentionDays;
+    }
+  };
+}
+
+module.exports = { createChatHistory, RECORD_TYPES };
@@ -0,0 +1,235 @@
+// ===== Chat ingestion pipeline (shared by all chat source adapters) =====
+// An adapter (YouTube poller, Twitch IRC, the POST endpoint) turns platform
+// messages into the normalized shape below and hands them to `ingest`. The
+// pipeline then does the same for every platform: moderation filter, poll
+// votes, overlay bubble, alert (toast), chat history and stream stats.
+// `onSupport(alert)` gets the alerts that count toward goals / the timer: only
+// messages seen for the first time (the poller re-reads the recent backlog
+// after a restart or re-detection), and none from the simulator / replay.
+//
+// Adapter interface: { platform, start(), shutdown(), state() }
+//
+// Normalized message:
+//   { platform: youtube|twitch|custom, id, type: chat|superchat|membership|gift,
+//     publishedAt, name, channelId, channelUrl, avatarUrl,
+//     isOwner, isMod, isMember, isVerified,
+//     text,                         // comment (superchat / cheer / resub message included)
+//     emotes: [{ name, url }],      // words of `text` the overlay draws as images
+//     amount, amountMicros, currency, tier,   // superchat (Twitch: bits, see lib/twitch-irc.js)
+//     level,                        // membership level / sub plan
+//     giftCount, giftMessage }      // gifted memberships / subs
+// Channel ids must be unique across platforms (Twitch ids are prefixed "tw:").
+
+const PLATFORMS = ['youtube', 'twitch', 'custom'];
+const MESSAGE_TYPES = ['chat', 'superchat', 'membership', 'gift'];
+const MAX_EMOTES = 50;
+const TEST_SOURCES = ['simulator', 'replay'];
+
+function fail(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+function cleanText(v, max) {
+  return String(v ?? '').replace(/[\r\n\t]+/g, ' ').trim().slice(0, max);
+}
+
+function numOrNull(v) {
+  const n = Number(v);
+  return v !== null && v !== undefined && v !== '' && Number.isFinite(n) ? n : null;
+}
+
+function httpsUrl(v) {
+  return typeof v === 'string' && /^https:\/\//.test(v) ? v.slice(0, 500) : null;
+}
+
+// Untrusted input (POST adapter) -> normalized message. Adapters in this
+// repo build the shape directly; this is the validation for everything else.
+function normalizeMessage(input, defaults = {}) {
+  const m = (input && typeof input === 'object') ? input : {};
+  const type = MESSAGE_TYPES.includes(m.type) ? m.type : 'chat';
+  const text = cleanText(m.text, 500);
+  const name = cleanText(m.name, 80);
+  if (!name || (type === 'chat' && !text)) throw fail('invalid_message');
+  const platform = PLATFORMS.includes(m.platform) ? m.platform : (defaults.platform || 'custom');
+  const emotes = (Array.isArray(m.emotes) ? m.emotes : [])
+    .map((e) => ({ name: cleanText(e?.name, 60), url: httpsUrl(e?.url) }))
+    .filter((e) => e.name && e.url && !/\s/.test(e.name))
+    .slice(0, MAX_EMOTES);
+  return {
+    platform,
+    id: cleanText(m.id, 120) || `${platform}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    publishedAt: Number.isFinite(Date.parse(m.publishedAt)) ? new Date(m.publishedAt).toISOString() : new Date().toISOString(),
+    name,
+    channelId: cleanText(m.channelId, 80) || null,
+    channelUrl: httpsUrl(m.channelUrl),
+    avatarUrl: httpsUrl(m.avatarUrl),
+    isOwner: Boolean(m.isOwner),
+    isMod: Boolean(m.isMod),
+    isMember: Boolean(m.isMember),
+    isVerified: Boolean(m.isVerified),
+    text,
+    emotes,
+    amount: type === 'superchat' ? cleanText(m.amount, 40) : null,
+    amountMicros: type === 'superchat' ? numOrNull(m.amountMicros) : null,
+    currency: type === 'superchat' && /^[A-Z]{3}$/.test(m.currency) ? m.currency : null,
+    tier: type === 'superchat' ? Math.min(7, Math.max(1, Number(m.tier) || 1)) : null,
+    level: type === 'membership' ? cleanText(m.level, 60) || null : null,
+    giftCount: type === 'gift' ? numOrNull(m.giftCount) : null,
+    giftMessage: type === 'gift' ? cleanText(m.giftMessage, 200) || null : null
+  };
+}
+
+function roleOf(m) {
+  return m.isOwner ? 'owner' : (m.isMod ? 'mod' : (m.isMember ? 'member' : ''));
+}
+
+// Flat record stored in the chat history (one per message).
+function toHistoryRecord(m) {
+  return {
+    id: m.id,
+    platform: m.platform,
+    type: m.type,
+    publishedAt: m.publishedAt || null,
+    receivedAt: new Date().toISOString(),
+    name: m.name,
+    channelId: m.channelId || null,
+    role: roleOf(m),
+    isOwner: Boolean(m.isOwner),
+    isMod: Boolean(m.isMod),
+    isMember: Boolean(m.isMember),
+    text: m.text || '',
+    amount: m.amount || null,
+    amountMicros: m.amountMicros ?? null,
+    currency: m.currency || null,
+    tier: m.tier ?? null,
+    level: m.level || null,
+    giftCount: m.giftCount ?? null
+  };
+}
+
+// Alert for a special message. title/body are the pre-rendered defaults; the
+// overlay re-renders them from its alert templates using the raw fields.
+function toAlert(m, shownText) {
+  const alert = { kind: 'toast', id: m.id, platform: m.platform, name: m.name, ms: 9000 };
+  if (m.type === 'superchat') {
+    return {
+      ...alert,
+      type: 'superchat',
+      title: m.platform === 'twitch' ? 'CHEER' : 'SUPER CHAT',
+      body: `${m.name}：${m.amount || ''}  ${shownText}`.trim(),
+      amount: m.amount || '',
+      amountMicros: m.amountMicros ?? null,
+      currency: m.currency || null,
+      tier: Number(m.tier) || 1,
+      message: shownText
+    };
+  }
+  if (m.type === 'membership') {
+    return {
+      ...alert,
+      type: 'membership',
+      title: 'MEMBERSHIP',
+      body: `${m.name}：メンバーになりました${m.level ? `（${m.level}）` : ''}`,
+      level: m.level || ''
+    };
+  }
+  const message = m.giftMessage || m.text || '';
+  return {
+    ...alert,
+    type: 'gift',
+    title: 'GIFT',
+    body: `${m.name}：${message}`,
+    message,
+    count: m.giftCount ?? null
+  };
+}
+
+function createChatPipeline({ chatHistory, chatFilter, streamStats, polls, broadcastEvent, onSupport }) {
+  // broadcast: { id, title, source } the messages belong to (history / stats),
+  // or null when they should not be stored.
+  function ingest(broadcast, messages) {
+    const historyRecords = [];
+    const alerts = [];
+    for (const m of messages || []) {
+      if (!m?.id) continue;
+      const special = m.type !== 'chat';
+      const verdict = chatFilter ? chatFilter.check(m) : { allowed: true };
+
+      // Vote commands ("!vote 2") count even when the moderation filter hides
+      // the message (e.g. members-only chat), but not from blocked authors.
+      const vote = polls && !special && verdict.reason !== 'blocked_author' ? polls.handleChat(m) : null;
+
+      // Broadcast chat messages that pass the moderation filter. Superchats
+      // always get a bubble (without the comment if it was filtered).
+      const isSuperchat = m.type === 'superchat';
+      const shownText = verdict.allowed ? (m.text || '') : '';
+      if ((m.text && verdict.allowed && !vote?.hide) || isSuperchat) {
+        broadcastEvent({
+          kind: 'chat',
+          id: m.id,
+          platform: m.platform,
+          name: m.name,
+          channelId: m.channelId || null,
+          channelUrl: m.channelUrl || null,
+          avatarUrl: m.avatarUrl || null,
+          text: shownText,
+          emotes: shownText && m.emotes?.length ? m.emotes : undefined,
+          role: roleOf(m),
+          isOwner: Boolean(m.isOwner),
+          isMod: Boolean(m.isMod),
+          isMember: Boolean(m.isMember),
+          isVerified: Boolean(m.isVerified),
+          superchat: isSuperchat ? {
+            amount: m.amount || '',
+            amountMicros: m.amountMicros ?? null,
+            currency: m.currency || null,
+            tier: Number(m.tier) || 1
+          } : null,
+          publishedAt: m.publishedAt || null
+        });
+      }
+
+      if (m.text || special) {
+        historyRecords.push({ ...toHistoryRecord(m), filtered: verdict.allowed ? null : verdict.reason });
+      }
+      // Alerts always fire (they are paid/support events); a filtered
+      // comment is just left out of the toast.
+      if (special) {
+        const alert = toAlert(m, shownText);
+        broadcastEvent(alert);
+        alerts.push(alert);
+      }
+    }
+
+    // Ids stored for the first time; null when there is no history to ask.
+    let freshIds = null;
+    if (chatHistory && historyRecords.length && broadcast?.id) {
+      freshIds = new Set();
+      try {
+        const fresh = chatHistory.append(broadcast, historyRecords);
+        for (const r of fresh) freshIds.add(r.id);
+        if (streamStats && fresh.length) streamStats.record(broadcast, fresh);
+      } catch (e) {
+        // eslint-disable-next-line no-console
+        console.error('[history] append failed', e);
+      }
+    }
+
+    if (onSupport && alerts.length && !TEST_SOURCES.includes(broadcast?.source)) {
+      for (const alert of alerts) {
+        if (!freshIds || freshIds.has(alert.id)) onSupport(alert);
+      }
+    }
+  }
+
+  // Moderation done on the platform: take the message(s) off the overlay.
+  function retract({ ids, channelId, reason }) {
+    if (!(ids?.length || channelId)) return;
+    broadcastEvent({ kind: 'retract', ...(ids?.length ? { ids } : {}), ...(channelId ? { channelId } : {}), reason });
+  }
+
+  return { ingest, retract };
+}
+
+module.exports = { createChatPipeline, normalizeMessage, toHistoryRecord, toAlert, PLATFORMS };
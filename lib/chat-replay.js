@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+
+// ===== Record / replay of YouTube poll responses =====
+// Recording wraps the real googleapis client and appends every response the
+// poller sees to a JSONL file:
+//   { "t": <epoch ms>, "call": "liveChatMessages.list", "data": { ...response body } }
+// Replay reads such a file back and serves the same responses on the
+// original timeline (optionally accelerated), again in the shape of the
+// googleapis client, so the poller can't tell the difference.
+
+const RECORDED_CALLS = ['channels.list', 'liveBroadcasts.list', 'liveChatMessages.list'];
+
+function recordingFileName(date = new Date()) {
+  const p = (n) => String(n).padStart(2, '0');
+  return `rec-${date.getFullYear()}${p(date.getMonth() + 1)}${p(date.getDate())}-${p(date.getHours())}${p(date.getMinutes())}${p(date.getSeconds())}.jsonl`;
+}
+
+// Only plain file names inside the recordings dir are accepted (no traversal).
+function resolveRecording(dir, name) {
+  const base = path.basename(String(name || ''));
+  if (!base || base !== name || !base.endsWith('.jsonl')) return null;
+  return path.join(dir, base);
+}
+
+function listRecordings(dir) {
+  try {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter((f) => f.endsWith('.jsonl'))
+      .map((f) => {
+        const st = fs.statSync(path.join(dir, f));
+        return { name: f, size: st.size, mtime: st.mtime.toISOString() };
+      })
+      .sort((a, b) => (a.name < b.name ? 1 : -1));
+  } catch (_) {
+    return [];
+  }
+}
+
+// `stats.lines` is incremented per appended line (the wrapper itself is cheap
+// and may be re-created per poll; the stats object outlives it).
+function createRecordingApi(api, { filePath, stats = { lines: 0 } }) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  function wrap(call) {
+    const [ns, method] = call.split('.');
+    return async (params) => {
+      const resp = await api[ns][method](params);
+      try {
+        fs.appendFileSync(filePath, `${JSON.stringify({ t: Date.now(), call, data: resp?.data ?? null })}\n`, 'utf8');
+        stats.lines += 1;
+      } catch (e) {
+        // eslint-disable-next-line no-console
+        console.error('[record] append failed', e);
+      }
+      return resp;
+    };
+  }
+
+  const out = {};
+  for (const call of RECORDED_CALLS) {
+    const [ns, method] = call.split('.');
+    out[ns] = { ...(out[ns] || {}), [method]: wrap(call) };
+  }
+  return out;
+}
+
+function createReplayApi({ filePath, speed = 1, loop = false }) {
+  const entries = [];
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const e = JSON.parse(line);
+      if (e && RECORDED_CALLS.includes(e.call) && Number.isFinite(Number(e.t))) entries.push(e);
+    } catch (_) {
+      // skip broken lines (e.g. crash mid-write)
+    }
+  }
+  const chat = entries.filter((e) => e.call === 'liveChatMessages.list').sort((a, b) => a.t - b.t);
+  const firstOf = (call) => entries.find((e) => e.call === call)?.data || null;
+  const t0 = chat.length ? chat[0].t : 0;
+
+  let startedAt = null;
+  let cursor = 0;
+  let rate = Math.max(0.1, Number(speed) || 1);
+
+  function takeDue() {
+    const now = Date.now();
+    if (startedAt === null) startedAt = now;
+    if (loop && cursor >= chat.length && chat.length) {
+      startedAt = now;
+      cursor = 0;
+    }
+    const elapsed = (now - startedAt) * rate;
+    const chronological = [];
+    let pollMs = 0;
+    while (cursor < chat.length && chat[cursor].t - t0 <= elapsed) {
+      const data = chat[cursor].data || {};
+      // Recorded pages are newest-first; flatten in chronological order.
+      chronological.push(...(data.items || []).slice().reverse());
+      pollMs = Number(data.pollingIntervalMillis || pollMs);
+      cursor += 1;
+    }
+    return { items: chronological.reverse(), pollMs };
+  }
+
+  return {
+    channels: {
+      list: async () => ({ data: firstOf('channels.list') || { items: [] } })
+    },
+    liveBroadcasts: {
+      list: async () => ({
+        data: firstOf('liveBroadcasts.list') || {
+          items: [{ id: 'replay-broadcast', snippet: { title: `Replay: ${path.basename(filePath)}`, liveChatId: 'replay-live-chat' } }]
+        }
+      })
+    },
+    liveChatMessages: {
+      list: async () => {
+        const { items, pollMs } = takeDue();
+        return {
+          data: {
+            items,
+            nextPageToken: `replay-${cursor}`,
+            pollingIntervalMillis: pollMs ? Math.max(1000, Math.round(pollMs / rate)) : 0
+          }
+        };
+      }
+    },
+    setSpeed(n) {
+      rate = Math.max(0.1, Number(n) || 1);
+    },
+    info() {
+      return {
+        file: path.basename(filePath),
+        speed: rate,
+        loop,
+        pages: chat.length,
+        delivered: cursor,
+        done: !loop && cursor >= chat.length
+      };
+    }
+  };
+}
+
+module.exports = {
+  createRecordingApi,
+  createReplayApi,
+  listRecordings,
+  recordingFileName,
+  resolveRecording
+};
@@ -0,0 +1,234 @@
+// ===== Offline chat simulator =====
+// Stands in for the googleapis `youtube` client (only the calls the poller
+// uses: channels.list / liveBroadcasts.list / liveChatMessages.list) and
+// returns liveChatMessage resources shaped like the real API, so the whole
+// poll -> classify -> broadcast pipeline runs without a live broadcast or quota.
+// https://developers.google.com/youtube/v3/live/docs/liveChatMessages
+
+const SIM_CHANNEL = { id: 'UCsimulator0000000000000', title: 'Simulator Channel' };
+const SIM_BROADCAST = { id: 'sim-broadcast', title: 'シミュレーター配信', liveChatId: 'sim-live-chat' };
+
+// Relative weights of generated item kinds.
+const DEFAULT_MIX = {
+  chat: 80,
+  modChat: 4,
+  ownerChat: 2,
+  superchat: 7,
+  membership: 4,
+  gift: 3,
+  deleted: 1 // messageDeletedEvent for a recent message
+};
+
+const NAMES = [
+  'たなか', 'さとう', 'ゆうき', 'みお', 'はると', 'Kaito', 'Rin', 'Alex', 'Sam', 'Mika',
+  'ねこまる', 'ゲーム好き', 'night_owl', 'こたつ', 'Aoi', 'Jordan', 'ぽてと', 'Luna'
+];
+
+const MESSAGES = [
+  'こんばんは！', '初見です', 'きたー', 'ナイス！', 'うますぎる', 'www', '8888888',
+  'そこ右！', 'がんばれー', '今日も楽しみにしてました', 'BGMいいね', 'ボス強そう',
+  'おつかれさまです', 'ドンマイ', 'その装備いいな', 'gg', 'lol', 'nice clutch!',
+  'first time here, love the overlay', '草', '今日何時まで？', 'かわいい', '神回では？'
+];
+
+// JPY amounts roughly follow YouTube's tier thresholds.
+const SUPERCHAT_AMOUNTS = [
+  { amount: 100, tier: 1 }, { amount: 200, tier: 2 }, { amount: 500, tier: 3 },
+  { amount: 1000, tier: 4 }, { amount: 2000, tier: 5 }, { amount: 5000, tier: 6 },
+  { amount: 10000, tier: 7 }, { amount: 50000, tier: 7 }
+];
+
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+function pickWeighted(mix) {
+  const entries = Object.entries(mix).filter(([, w]) => Number(w) > 0);
+  const total = entries.reduce((n, [, w]) => n + Number(w), 0);
+  let r = Math.random() * total;
+  for (const [k, w] of entries) {
+    r -= Number(w);
+    if (r <= 0) return k;
+  }
+  return entries.length ? entries[entries.length - 1][0] : 'chat';
+}
+
+function makeAuthor({ owner = false, mod = false, member = null } = {}) {
+  const name = owner ? SIM_CHANNEL.title : pick(NAMES);
+  const channelId = owner ? SIM_CHANNEL.id : `UCsim${Buffer.from(name).toString('hex').slice(0, 18)}`;
+  return {
+    channelId,
+    channelUrl: `https://www.youtube.com/channel/${channelId}`,
+    displayName: name,
+    profileImageUrl: `https://yt3.ggpht.com/sim/${encodeURIComponent(name)}=s88`,
+    isVerified: owner || Math.random() < 0.03,
+    isChatOwner: owner,
+    isChatSponsor: member === null ? Math.random() < 0.25 : member,
+    isChatModerator: mod
+  };
+}
+
+function formatJpy(amount) {
+  return `¥${amount.toLocaleString('en-US')}`;
+}
+
+function createSimulatorApi({ ratePerMin = 30, mix = DEFAULT_MIX, pollingIntervalMillis = 5000 } = {}) {
+  let seq = 0;
+  let lastAt = Date.now();
+  let carry = 0;
+  const recentIds = []; // for simulated deletions
+
+  function nextId() {
+    seq += 1;
+    return `sim-${Date.now().toString(36)}-${seq}`;
+  }
+
+  function makeItem(kind) {
+    const id = nextId();
+    const publishedAt = new Date().toISOString();
+    const base = { kind: 'youtube#liveChatMessage', id };
+
+    if (kind === 'deleted' && recentIds.length) {
+      const deletedMessageId = recentIds.splice(Math.floor(Math.random() * recentIds.length), 1)[0];
+      return {
+        ...base,
+        snippet: {
+          type: 'messageDeletedEvent',
+          liveChatId: SIM_BROADCAST.liveChatId,
+          publishedAt,
+          hasDisplayContent: false,
+          messageDeletedDetails: { deletedMessageId }
+        },
+        authorDetails: makeAuthor({ mod: true })
+      };
+    }
+
+    if (kind === 'superchat') {
+      const sc = pick(SUPERCHAT_AMOUNTS);
+      const comment = Math.random() < 0.8 ? pick(MESSAGES) : '';
+      return {
+        ...base,
+        snippet: {
+          type: 'superChatEvent',
+          liveChatId: SIM_BROADCAST.liveChatId,
+          publishedAt,
+          hasDisplayContent: true,
+          displayMessage: comment,
+          superChatDetails: {
+            amountMicros: String(sc.amount * 1e6),
+            currency: 'JPY',
+            amountDisplayString: formatJpy(sc.amount),
+            userComment: comment,
+            tier: sc.tier
+          }
+        },
+        authorDetails: makeAuthor()
+      };
+    }
+
+    if (kind === 'membership') {
+      const author = makeAuthor({ member: true });
+      return {
+        ...base,
+        snippet: {
+          type: 'newSponsorEvent',
+          liveChatId: SIM_BROADCAST.liveChatId,
+          publishedAt,
+          hasDisplayContent: true,
+          displayMessage: `${author.displayName}さんがメンバーになりました`,
+          newSponsorDetails: {
+            memberLevelName: pick(['メンバー', 'ゴールド', 'プラチナ']),
+            isUpgrade: Math.random() < 0.1
+          }
+        },
+        authorDetails: author
+      };
+    }
+
+    if (kind === 'gift') {
+      const count = pick([1, 5, 5, 10, 20, 50]);
+      const en = Math.random() < 0.5;
+      return {
+        ...base,
+        snippet: {
+          type: 'membershipGiftingEvent',
+          liveChatId: SIM_BROADCAST.liveChatId,
+          publishedAt,
+          hasDisplayContent: true,
+          displayMessage: en
+            ? `Gifted ${count} memberships`
+            : `メンバーシップを${count}件ギフトしました`,
+          membershipGiftingDetails: {
+            giftMembershipsCount: count,
+            giftMembershipsLevelName: 'メンバー'
+          }
+        },
+        authorDetails: makeAuthor()
+      };
+    }
+
+    const author = makeAuthor({ owner: kind === 'ownerChat', mod: kind === 'modChat' });
+    const text = kind === 'ownerChat' ? pick(['みんなありがとう！', 'もうすぐボス戦です', '休憩入ります']) : pick(MESSAGES);
+    recentIds.push(id);
+    if (recentIds.length > 20) recentIds.shift();
+    return {
+      ...base,
+      snippet: {
+        type: 'textMessageEvent',
+        liveChatId: SIM_BROADCAST.liveChatId,
+        publishedAt,
+        hasDisplayContent: true,
+        displayMessage: text,
+        textMessageDetails: { messageText: text }
+      },
+      authorDetails: author
+    };
+  }
+
+  // Items accumulate at `ratePerMin` between calls (fractions carry over).
+  function takeItems() {
+    const now = Date.now();
+    const due = ((now - lastAt) / 60000) * Math.max(0, Number(ratePerMin) || 0) + carry;
+    lastAt = now;
+    const count = Math.min(200, Math.floor(due));
+    carry = due - Math.floor(due);
+    const items = [];
+    for (let i = 0; i < count; i++) items.push(makeItem(pickWeighted(mix)));
+    // The real API can return newest-first; the poller reverses the list.
+    return items.reverse();
+  }
+
+  return {
+    channels: {
+      list: async () => ({ data: { items: [{ id: SIM_CHANNEL.id, snippet: { title: SIM_CHANNEL.title } }] } })
+    },
+    liveBroadcasts: {
+      list: async () => ({
+        data: {
+          items: [{
+            id: SIM_BROADCAST.id,
+            snippet: { title: SIM_BROADCAST.title, liveChatId: SIM_BROADCAST.liveChatId }
+          }]
+        }
+      })
+    },
+    liveChatMessages: {
+      list: async () => ({
+        data: {
+          items: takeItems(),
+          nextPageToken: `sim-page-${seq}`,
+          pollingIntervalMillis
+        }
+      })
+    },
+    // Control helpers (not part of the YouTube API surface)
+    setRate(n) {
+      ratePerMin = Math.max(0, Number(n) || 0);
+    },
+    info() {
+      return { ratePerMin, generated: seq };
+    }
+  };
+}
+
+module.exports = { createSimulatorApi, DEFAULT_MIX };
@@ -0,0 +1,160 @@
+// ===== SSE fanout with resume =====
+// One instance per tenant. Replayable events (chat, toasts, ...) get a
+// monotonically increasing id and are kept in a bounded ring buffer, so a
+// client that reconnects with `Last-Event-ID` (or `?lastEventId=` after a page
+// reload, e.g. OBS refreshing the browser source) receives what it missed.
+// Status events are ephemeral: sent without an id and never buffered, so the
+// per-poll status chatter doesn't push chat out of the buffer.
+//
+// Ids are "<epoch>-<seq>"; the epoch changes per process, so an id from before
+// a server restart is recognized as stale instead of matching new events.
+//
+// Wire format:
+//   retry: <ms>                  (once per connection)
+//   id: <epoch>-<seq>\nevent: yt\ndata: {...}\n\n
+//   : ping                       (comment heartbeat, keeps proxies from idling out)
+
+function escapeSseData(obj) {
+  return JSON.stringify(obj).replace(/\u2028|\u2029/g, '');
+}
+
+function frame(id, evt) {
+  return `${id ? `id: ${id}\n` : ''}event: yt\ndata: ${escapeSseData(evt)}\n\n`;
+}
+
+// Events that carry the full current state: only the newest of each kind is kept.
+const SNAPSHOT_KINDS = ['settings', 'timer', 'goals', 'poll', 'feature'];
+
+// resumeMaxAgeMs: missed toasts older than this are not replayed (an overlay
+// that was closed for an hour shouldn't pop an hour of alerts on open).
+function createEventStream({ bufferSize = 500, heartbeatMs = 15000, retryMs = 3000, resumeMaxAgeMs = 10 * 60 * 1000 } = {}) {
+  const clients = new Set();
+  const listeners = new Set(); // in-process subscribers (automation API)
+  const buffer = []; // [{ id, at, evt }], oldest first
+  const epoch = Date.now().toString(36);
+  let lastId = 0;
+  let heartbeatTimer = null;
+
+  function write(res, chunk) {
+    try { res.write(chunk); } catch (_) { /* ignore */ }
+  }
+
+  function startHeartbeat() {
+    if (heartbeatTimer || !heartbeatMs) return;
+    heartbeatTimer = setInterval(() => {
+      for (const res of clients) write(res, ': ping\n\n');
+    }, heartbeatMs);
+    heartbeatTimer.unref?.();
+  }
+
+  // A retraction also removes the matching chat from the buffer so it isn't
+  // restored by a later backlog/resume.
+  function dropRetracted({ ids, channelId }) {
+    const idSet = new Set(ids || []);
+    for (let i = buffer.length - 1; i >= 0; i--) {
+      const e = buffer[i].evt;
+      if (e?.kind !== 'chat') continue;
+      if (idSet.has(e.id) || (channelId && e.channelId === channelId)) buffer.splice(i, 1);
+    }
+  }
+
+  // Only the newest snapshot of a kind is worth replaying.
+  function dropSnapshots(kind) {
+    for (let i = buffer.length - 1; i >= 0; i--) {
+      if (buffer[i].evt?.kind === kind) buffer.splice(i, 1);
+    }
+  }
+
+  function publish(evt) {
+    for (const fn of listeners) {
+      try { fn(evt); } catch (_) { /* ignore */ }
+    }
+    if (evt?.kind === 'retract') dropRetracted(evt);
+    if (SNAPSHOT_KINDS.includes(evt?.kind)) dropSnapshots(evt.kind);
+    if (evt?.kind === 'status') {
+      const payload = frame(null, evt);
+      for (const res of clients) write(res, payload);
+      return null;
+    }
+    lastId += 1;
+    buffer.push({ id: lastId, at: Date.now(), evt });
+    if (buffer.length > bufferSize) buffer.splice(0, buffer.length - bufferSize);
+    const payload = frame(`${epoch}-${lastId}`, evt);
+    for (const res of clients) write(res, payload);
+    return lastId;
+  }
+
+  // Events to send right after (re)connecting:
+  // - everything after `resumeFrom` that is still buffered
+  // - plus the last `backlog` chat messages (fresh page with an empty chat pane)
+  function replayFor({ resumeFrom, backlog }) {
+    const picked = new Map();
+    const [e0, seq] = String(resumeFrom || '').split('-');
+    const from = Number(seq);
+    if (e0 === epoch && Number.isFinite(from)) {
+      const minAt = Date.now() - resumeMaxAgeMs;
+      for (const e of buffer) {
+        if (e.id > from && (e.evt?.kind === 'chat' || e.at >= minAt)) picked.set(e.id, e);
+      }
+    }
+    const n = Math.min(200, Math.max(0, Number(backlog) || 0));
+    if (n) {
+      const chats = buffer.filter((e) => e.evt?.kind === 'chat').slice(-n);
+      for (const e of chats) picked.set(e.id, e);
+    }
+    return [...picked.values()].sort((a, b) => a.id - b.id);
+  }
+
+  // Attach an HTTP response as an SSE client.
+  //   resumeFrom: Last-Event-ID header or ?lastEventId=
+  //   backlog:    number of recent chat messages to restore
+  function attach(req, res, { resumeFrom, backlog } = {}) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    // Disable proxy buffering (nginx and friends) so events flush immediately.
+    res.setHeader('X-Accel-Buffering', 'no');
+
+    write(res, `retry: ${retryMs}\n\n`);
+    // Initial ping
+    write(res, frame(null, { kind: 'status', level: 'info', message: 'connected' }));
+    for (const e of replayFor({ resumeFrom, backlog })) {
+      write(res, frame(`${epoch}-${e.id}`, { ...e.evt, replayed: true }));
+    }
+
+    clients.add(res);
+    startHeartbeat();
+
+    req.on('close', () => {
+      clients.delete(res);
+    });
+  }
+
+  function close() {
+    if (heartbeatTimer) clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+    for (const res of clients) {
+      try { res.end(); } catch (_) { /* ignore */ }
+    }
+    clients.clear();
+    listeners.clear();
+  }
+
+  // fn(evt) for every published event; returns the unsubscribe function.
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  return {
+    publish,
+    attach,
+    subscribe,
+    close,
+    size: () => clients.size,
+    lastEventId: () => (lastId ? `${epoch}-${lastId}` : null)
+  };
+}
+
+module.exports = { createEventStream, escapeSseData };
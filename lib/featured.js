@@ -0,0 +1,97 @@
+// ===== Featured chat message =====
+// A chat message picked in the /control chat console and shown large in the
+// overlay's game area (Q&A segments, reading messages out). Kept in memory
+// only: it stays until cleared, replaced, retracted by moderation, or until
+// its `durationSec` runs out (0 = until cleared).
+// Published as `{ kind: 'feature', message }` snapshots (message null = hidden).
+
+const { PLATFORMS } = require('./chat-pipeline');
+
+const MAX_DURATION_SEC = 60 * 60;
+
+function fail(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+function cleanText(v, max) {
+  return String(v || '').replace(/[\r\n\t]+/g, ' ').trim().slice(0, max);
+}
+
+// Console message (the SSE chat event) -> featured message.
+function normalizeMessage(input, now) {
+  const m = (input && typeof input === 'object') ? input : {};
+  const text = cleanText(m.text, 500);
+  const superchat = m.superchat && typeof m.superchat === 'object'
+    ? { amount: cleanText(m.superchat.amount, 40), tier: Math.min(7, Math.max(1, Number(m.superchat.tier) || 1)) }
+    : null;
+  if (!text && !superchat) throw fail('invalid_message');
+  const sec = Number(m.durationSec);
+  const durationSec = Number.isFinite(sec) ? Math.round(Math.min(MAX_DURATION_SEC, Math.max(0, sec))) : 0;
+  return {
+    id: cleanText(m.id, 120),
+    platform: PLATFORMS.includes(m.platform) ? m.platform : null,
+    channelId: cleanText(m.channelId, 64),
+    name: cleanText(m.name, 80) || '名無し',
+    avatarUrl: typeof m.avatarUrl === 'string' && /^https:\/\//.test(m.avatarUrl) ? m.avatarUrl.slice(0, 500) : null,
+    text,
+    emotes: (Array.isArray(m.emotes) ? m.emotes : [])
+      .filter((e) => typeof e?.name === 'string' && typeof e?.url === 'string' && /^https:\/\//.test(e.url))
+      .slice(0, 50)
+      .map((e) => ({ name: e.name.slice(0, 60), url: e.url.slice(0, 500) })),
+    isOwner: Boolean(m.isOwner),
+    isMod: Boolean(m.isMod),
+    isMember: Boolean(m.isMember),
+    superchat,
+    featuredAt: new Date(now).toISOString(),
+    endsAt: durationSec ? new Date(now + durationSec * 1000).toISOString() : null
+  };
+}
+
+function createFeatured({ publish }) {
+  let current = null;
+  let timer = null;
+
+  function commit(message) {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    current = message;
+    if (current?.endsAt) {
+      timer = setTimeout(() => {
+        try { commit(null); } catch (_) { /* ignore */ }
+      }, Math.max(0, Date.parse(current.endsAt) - Date.now()));
+      timer.unref?.();
+    }
+    publish({ kind: 'feature', message: current ? { ...current } : null, ts: new Date().toISOString() });
+    return current ? { ...current } : null;
+  }
+
+  return {
+    get() {
+      return current ? { ...current } : null;
+    },
+
+    // { id, channelId, name, avatarUrl, text, isOwner, isMod, isMember, superchat, durationSec }
+    show(input) {
+      return commit(normalizeMessage(input, Date.now()));
+    },
+
+    clear() {
+      if (current) commit(null);
+    },
+
+    // Moderation took the message (or its author) off the overlay.
+    onRetract({ ids, channelId } = {}) {
+      if (!current) return;
+      const hit = (current.id && Array.isArray(ids) && ids.includes(current.id))
+        || (channelId && current.channelId === channelId);
+      if (hit) commit(null);
+    },
+
+    stop() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { createFeatured };
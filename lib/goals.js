@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ===== Supporter goals =====
+// Progress bars fed by the alert events of the poller (superchat /
+// membership / gift). Managed from /control and stored per tenant (goals.json):
+//   { currency: 'JPY', rates: { USD: 150, ... }, goals: [{ id, type, label, target, current, visible, completedAt }] }
+//
+//   superchat   sum of amountMicros converted to `currency` with `rates`
+//               (1 unit of the key currency = rate units of `currency`);
+//               superchats in currencies without a rate are not counted
+//   membership  new members
+//   gift        gifted memberships (the gift count, 1 when unknown)
+//
+// When a goal reaches its target a celebration alert (toast type 'goal') is published.
+
+const GOAL_TYPES = ['superchat', 'membership', 'gift'];
+const MAX_GOALS = 10;
+const MAX_VALUE = 1e12;
+const CURRENCY_RE = /^[A-Z]{3}$/;
+
+// Rough static rates to JPY; edit them in /control (or switch the base currency).
+const DEFAULT_RATES = {
+  USD: 150, EUR: 160, GBP: 190, AUD: 100, CAD: 110, HKD: 19, TWD: 4.7,
+  KRW: 0.11, SGD: 110, PHP: 2.6, INR: 1.8, IDR: 0.0095, THB: 4.2, MYR: 32
+};
+
+function fail(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+function clampNum(v, min, max, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+function normalizeRates(input) {
+  const src = (input && typeof input === 'object') ? input : {};
+  const out = {};
+  for (const [k, v] of Object.entries(src)) {
+    const code = String(k).trim().toUpperCase();
+    const rate = Number(v);
+    if (CURRENCY_RE.test(code) && Number.isFinite(rate) && rate > 0) out[code] = rate;
+  }
+  return out;
+}
+
+function normalizeGoal(input, prev) {
+  const g = (input && typeof input === 'object') ? input : {};
+  if (!GOAL_TYPES.includes(g.type)) throw fail('invalid_goal_type');
+  const target = clampNum(g.target, 0, MAX_VALUE, 0);
+  if (!(target > 0)) throw fail('invalid_target');
+  const current = prev && prev.type === g.type ? prev.current : clampNum(g.current, 0, MAX_VALUE, 0);
+  return {
+    id: typeof g.id === 'string' && /^[a-z0-9]{1,24}$/.test(g.id) ? g.id : crypto.randomBytes(4).toString('hex'),
+    type: g.type,
+    label: String(g.label || '').replace(/[\r\n\t]+/g, ' ').trim().slice(0, 60),
+    target,
+    current,
+    visible: g.visible !== false,
+    completedAt: current >= target ? (prev?.completedAt || null) : null
+  };
+}
+
+// Stored file -> state (invalid goals are dropped, never thrown).
+function normalizeState(input) {
+  const s = (input && typeof input === 'object') ? input : {};
+  const goals = [];
+  for (const g of Array.isArray(s.goals) ? s.goals : []) {
+    try {
+      goals.push({ ...normalizeGoal(g, null), completedAt: typeof g.completedAt === 'string' ? g.completedAt : null });
+    } catch (_) { /* ignore */ }
+  }
+  return {
+    currency: typeof s.currency === 'string' && CURRENCY_RE.test(s.currency) ? s.currency : 'JPY',
+    rates: s.rates === undefined ? { ...DEFAULT_RATES } : normalizeRates(s.rates),
+    goals: goals.slice(0, MAX_GOALS)
+  };
+}
+
+// Amount of a superchat in the base currency, or null when it can't be converted.
+function convertAmount(state, amountMicros, currency) {
+  const micros = Number(amountMicros);
+  if (!Number.isFinite(micros) || micros <= 0 || typeof currency !== 'string') return null;
+  const rate = currency === state.currency ? 1 : state.rates[currency];
+  if (!rate) return null;
+  return Math.round((micros / 1e6) * rate * 100) / 100;
+}
+
+function createGoals({ filePath, publish }) {
+  let state = null;
+
+  function load() {
+    if (state) return state;
+    state = normalizeState({});
+    try {
+      if (fs.existsSync(filePath)) state = normalizeState(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[goals] failed to read goals, using defaults', e);
+    }
+    return state;
+  }
+
+  function save() {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2), 'utf8');
+    fs.renameSync(tmp, filePath);
+  }
+
+  function snapshot() {
+    const s = load();
+    return { currency: s.currency, rates: { ...s.rates }, goals: s.goals.map((g) => ({ ...g })) };
+  }
+
+  function commit(next, completed = []) {
+    state = next;
+    save();
+    publish({ kind: 'goals', ...snapshot(), ts: new Date().toISOString() });
+    for (const g of completed) {
+      publish({
+        kind: 'toast',
+        id: `goal:${g.id}:${Date.now()}`,
+        type: 'goal',
+        title: 'GOAL!',
+        body: `${g.label || '目標'} 達成！`,
+        ms: 9000
+      });
+    }
+    return snapshot();
+  }
+
+  // Applies `fn(goal) -> new current` to matching goals and reports the
+  // goals that crossed their target with this change.
+  function update(match, fn) {
+    const s = load();
+    const completed = [];
+    const goals = s.goals.map((g) => {
+      if (!match(g)) return g;
+      const current = clampNum(fn(g), 0, MAX_VALUE, g.current);
+      const done = current >= g.target;
+      const next = { ...g, current, completedAt: done ? (g.completedAt || new Date().toISOString()) : null };
+      if (done && !g.completedAt) completed.push(next);
+      return next;
+    });
+    return commit({ ...s, goals }, completed);
+  }
+
+  return {
+    get: snapshot,
+
+    // Replaces the goal list (and optionally currency / rates). Progress of
+    // goals that keep their id and type is preserved.
+    configure(input = {}) {
+      const s = load();
+      const list = Array.isArray(input.goals) ? input.goals : s.goals;
+      if (list.length > MAX_GOALS) throw fail('too_many_goals');
+      if (input.currency !== undefined && !(typeof input.currency === 'string' && CURRENCY_RE.test(input.currency))) {
+        throw fail('invalid_currency');
+      }
+      const goals = list.map((g) => normalizeGoal(g, s.goals.find((p) => p.id === g?.id)));
+      return commit({
+        currency: input.currency ?? s.currency,
+        rates: input.rates !== undefined ? normalizeRates(input.rates) : s.rates,
+        goals
+      });
+    },
+
+    // Manual adjustment: { delta } adds, { value } sets.
+    adjust(id, { delta, value } = {}) {
+      if (!load().goals.some((g) => g.id === id)) throw fail('goal_not_found');
+      if (value !== undefined && Number.isFinite(Number(value))) return update((g) => g.id === id, () => Number(value));
+      if (delta !== undefined && Number.isFinite(Number(delta))) return update((g) => g.id === id, (g) => g.current + Number(delta));
+      throw fail('invalid_value');
+    },
+
+    reset(id) {
+      if (!load().goals.some((g) => g.id === id)) throw fail('goal_not_found');
+      return update((g) => g.id === id, () => 0);
+    },
+
+    // Alert events (kind: 'toast') of new support (see countSupport in server.js).
+    onSupport(evt) {
+      const type = evt?.type;
+      if (!GOAL_TYPES.includes(type) || !load().goals.some((g) => g.type === type)) return null;
+      let amount = 1;
+      if (type === 'superchat') amount = convertAmount(state, evt.amountMicros, evt.currency);
+      if (type === 'gift') amount = Math.max(1, Number(evt.count) || 1);
+      if (!amount) return null;
+      return update((g) => g.type === type, (g) => g.current + amount);
+    }
+  };
+}
+
+module.exports = { createGoals, normalizeState, convertAmount, GOAL_TYPES, DEFAULT_RATES };
@@ -0,0 +1,55 @@
+// ===== Layout presets =====
+// Geometry of the overlay stage, chosen per profile (`layout`) or with
+// ?layout=<id>. Sizes are in design pixels; `scale` shrinks the whole stage
+// (the 720p preset is the 1080p layout at 2/3), so the BrowserSource size is
+// design size × scale.
+//   chat: right | left (sidebar beside the game) | float (over the game) | below (vertical)
+
+const LAYOUT_PRESETS = {
+  default: { label: '標準（右にチャット）', gameW: 1600, gameH: 900, sidebarW: 320, bottomH: 180, chat: 'right' },
+  'sidebar-left': { label: '左にチャット', gameW: 1600, gameH: 900, sidebarW: 320, bottomH: 180, chat: 'left' },
+  'overlay-chat': { label: 'チャットをゲームに重ねる（サイドバーなし）', gameW: 1920, gameH: 900, sidebarW: 0, bottomH: 180, chat: 'float' },
+  'retro-43': { label: '4:3 レトロゲーム', gameW: 1200, gameH: 900, sidebarW: 720, bottomH: 180, chat: 'right' },
+  hd720: { label: '1280×720 キャンバス', gameW: 1600, gameH: 900, sidebarW: 320, bottomH: 180, chat: 'right', scale: 2 / 3 },
+  vertical: { label: '縦型 1080×1920（ショート向け）', gameW: 1080, gameH: 608, sidebarW: 1080, bottomH: 240, chat: 'below', stageH: 1920 }
+};
+
+const DEFAULT_LAYOUT = 'default';
+
+// Parts of the overlay that can be hidden at runtime, whatever the layout
+// (settings.json `hiddenRegions`, shared by all profiles; set from /control
+// or the automation API).
+const OVERLAY_REGIONS = ['chat', 'bottomBar', 'alerts', 'featured', 'goals', 'poll', 'timer'];
+
+function normalizeHiddenRegions(list) {
+  return Array.isArray(list) ? OVERLAY_REGIONS.filter((r) => list.includes(r)) : [];
+}
+
+function isValidLayout(id) {
+  return typeof id === 'string' && Object.prototype.hasOwnProperty.call(LAYOUT_PRESETS, id);
+}
+
+// Preset with the derived stage / BrowserSource sizes filled in.
+function describeLayout(id) {
+  const p = LAYOUT_PRESETS[isValidLayout(id) ? id : DEFAULT_LAYOUT];
+  const scale = p.scale || 1;
+  const stageW = p.chat === 'below' ? p.gameW : p.gameW + p.sidebarW;
+  const stageH = p.stageH || p.gameH + p.bottomH;
+  return {
+    id: isValidLayout(id) ? id : DEFAULT_LAYOUT,
+    ...p,
+    scale,
+    stageW,
+    stageH,
+    width: Math.round(stageW * scale),
+    height: Math.round(stageH * scale)
+  };
+}
+
+function listLayouts() {
+  return Object.keys(LAYOUT_PRESETS).map(describeLayout);
+}
+
+module.exports = {
+  LAYOUT_PRESETS, DEFAULT_LAYOUT, OVERLAY_REGIONS, isValidLayout, describeLayout, listLayouts, normalizeHiddenRegions
+};
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ===== Alert media library =====
+// Images and sounds uploaded from /control and bound to alert types.
+// File types are decided by magic bytes, never by the client's mimetype or
+// file name. Stored per tenant:
+//   <dir>/index.json   { items: [{ id, name, kind, mime, ext, size, createdAt }] }
+//   <dir>/<id><ext>
+
+const SIGNATURES = [
+  { kind: 'image', mime: 'image/png', ext: '.png', test: (b) => b.length > 8 && b.readUInt32BE(0) === 0x89504e47 },
+  { kind: 'image', mime: 'image/jpeg', ext: '.jpg', test: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { kind: 'image', mime: 'image/gif', ext: '.gif', test: (b) => b.length > 6 && /^GIF8[79]a$/.test(b.toString('latin1', 0, 6)) },
+  { kind: 'image', mime: 'image/webp', ext: '.webp', test: (b) => b.length > 12 && b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  { kind: 'audio', mime: 'audio/wav', ext: '.wav', test: (b) => b.length > 12 && b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WAVE' },
+  { kind: 'audio', mime: 'audio/ogg', ext: '.ogg', test: (b) => b.length > 4 && b.toString('latin1', 0, 4) === 'OggS' },
+  // MP3: ID3 tag, or a bare MPEG audio frame sync (11 set bits).
+  { kind: 'audio', mime: 'audio/mpeg', ext: '.mp3', test: (b) => b.length > 3 && (b.toString('latin1', 0, 3) === 'ID3' || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0)) }
+];
+
+// Returns { kind, mime, ext } or null.
+function sniffMedia(buffer) {
+  if (!Buffer.isBuffer(buffer)) return null;
+  const sig = SIGNATURES.find((s) => s.test(buffer));
+  return sig ? { kind: sig.kind, mime: sig.mime, ext: sig.ext } : null;
+}
+
+function cleanName(name, fallback) {
+  const s = String(name || '').replace(/[\r\n\t]+/g, ' ').trim().slice(0, 80);
+  return s || fallback;
+}
+
+function fail(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+function createMediaLibrary({ dir, quotaBytes = 50 * 1024 * 1024, maxFileBytes = 10 * 1024 * 1024 }) {
+  const indexPath = path.join(dir, 'index.json');
+  let items = null;
+
+  function load() {
+    if (items) return items;
+    items = [];
+    try {
+      if (fs.existsSync(indexPath)) {
+        const json = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+        if (Array.isArray(json?.items)) items = json.items.filter((m) => m && m.id && m.ext);
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[media] failed to read index', e);
+    }
+    return items;
+  }
+
+  function save() {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${indexPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ items }, null, 2), 'utf8');
+    fs.renameSync(tmp, indexPath);
+  }
+
+  function usage() {
+    const used = load().reduce((n, m) => n + (Number(m.size) || 0), 0);
+    return { used, quota: quotaBytes, maxFile: maxFileBytes, count: items.length };
+  }
+
+  return {
+    list() {
+      return load().slice();
+    },
+
+    get(id) {
+      return load().find((m) => m.id === id) || null;
+    },
+
+    filePath(m) {
+      return path.join(dir, `${m.id}${m.ext}`);
+    },
+
+    usage,
+
+    // Throws Error with `code`: missing_file | unsupported_type | file_too_large | quota_exceeded
+    add({ buffer, name }) {
+      if (!buffer || !buffer.length) throw fail('missing_file');
+      if (buffer.length > maxFileBytes) throw fail('file_too_large');
+      const type = sniffMedia(buffer);
+      if (!type) throw fail('unsupported_type');
+      if (usage().used + buffer.length > quotaBytes) throw fail('quota_exceeded');
+
+      const id = crypto.randomBytes(6).toString('hex');
+      const record = {
+        id,
+        name: cleanName(name, `${type.kind}-${id}`),
+        kind: type.kind,
+        mime: type.mime,
+        ext: type.ext,
+        size: buffer.length,
+        createdAt: new Date().toISOString()
+      };
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, `${id}${type.ext}`), buffer);
+      items.push(record);
+      save();
+      return record;
+    },
+
+    rename(id, name) {
+      const m = load().find((x) => x.id === id);
+      if (!m) return null;
+      m.name = cleanName(name, m.name);
+      save();
+      return m;
+    },
+
+    remove(id) {
+      const m = load().find((x) => x.id === id);
+      if (!m) return false;
+      try { fs.unlinkSync(path.join(dir, `${m.id}${m.ext}`)); } catch (_) { /* ignore */ }
+      items = items.filter((x) => x !== m);
+      save();
+      return true;
+    }
+  };
+}
+
+module.exports = { createMediaLibrary, sniffMedia };
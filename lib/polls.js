@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ===== Viewer polls =====
+// A poll started from /control is voted on with a chat command
+// ("!vote 2"); one vote per author channel (the first one counts), members
+// can count more than once (`memberWeight`). Tallies are pushed to the overlay
+// as `{ kind: 'poll', poll }` snapshots, at most once per `publishMs`.
+// YouTube's own polls (liveChatMessage `pollEvent`) are shown the same way.
+// Stored per tenant (polls.json): { active, history: [finished polls, newest first] }
+
+const MAX_OPTIONS = 10;
+const MAX_HISTORY = 50;
+const COMMAND_RE = /^![a-z0-9_]{1,20}$/i;
+
+function fail(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+function clampInt(v, min, max, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.round(Math.min(max, Math.max(min, n))) : fallback;
+}
+
+function cleanText(v, max) {
+  return String(v || '').replace(/[\r\n\t]+/g, ' ').trim().slice(0, max);
+}
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Public view: no voter ids.
+function publicPoll(p) {
+  if (!p) return null;
+  const { voters, ...rest } = p;
+  return { ...rest, options: p.options.map((o) => ({ ...o })) };
+}
+
+// YouTube pollEvent details -> poll snapshot.
+// https://developers.google.com/youtube/v3/live/docs/liveChatMessages#snippet.pollDetails
+function fromYouTubePoll(id, details) {
+  const meta = details?.metadata || {};
+  const options = (Array.isArray(meta.options) ? meta.options : []).slice(0, MAX_OPTIONS).map((o) => ({
+    label: cleanText(o?.optionText, 80),
+    votes: Number(o?.tally) || 0
+  }));
+  if (!options.length) return null;
+  const closed = details?.status === 'closed';
+  return {
+    id: `yt-${String(id || '').slice(0, 40)}`,
+    source: 'youtube',
+    question: cleanText(meta.questionText, 120),
+    options,
+    voterCount: options.reduce((n, o) => n + o.votes, 0),
+    ended: closed,
+    endedAt: closed ? new Date().toISOString() : null
+  };
+}
+
+function createPolls({ filePath, publish, publishMs = 1000 }) {
+  let state = null;
+  let endTimer = null;
+  let publishTimer = null;
+
+  function load() {
+    if (state) return state;
+    state = { active: null, history: [] };
+    try {
+      if (fs.existsSync(filePath)) {
+        const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        state = {
+          active: json?.active && Array.isArray(json.active.options) ? json.active : null,
+          history: Array.isArray(json?.history) ? json.history.slice(0, MAX_HISTORY) : []
+        };
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[polls] failed to read polls, starting empty', e);
+    }
+    scheduleEnd();
+    return state;
+  }
+
+  function save() {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2), 'utf8');
+    fs.renameSync(tmp, filePath);
+  }
+
+  function publishNow() {
+    if (publishTimer) clearTimeout(publishTimer);
+    publishTimer = null;
+    publish({ kind: 'poll', poll: publicPoll(state.active), ts: new Date().toISOString() });
+  }
+
+  // Votes arrive in bursts (one poll of the chat): coalesce the tallies.
+  function publishSoon() {
+    if (publishTimer) return;
+    publishTimer = setTimeout(() => {
+      publishTimer = null;
+      try {
+        save();
+        publishNow();
+      } catch (_) { /* ignore */ }
+    }, publishMs);
+    publishTimer.unref?.();
+  }
+
+  function scheduleEnd() {
+    if (endTimer) clearTimeout(endTimer);
+    endTimer = null;
+    const p = state?.active;
+    if (!p || p.ended || p.source !== 'chat' || !p.endsAt) return;
+    endTimer = setTimeout(() => {
+      try { end(); } catch (_) { /* ignore */ }
+    }, Math.max(0, Date.parse(p.endsAt) - Date.now()));
+    endTimer.unref?.();
+  }
+
+  function archive(p) {
+    state.history = [publicPoll(p), ...state.history.filter((h) => h.id !== p.id)].slice(0, MAX_HISTORY);
+  }
+
+  // Ends the running poll; the result stays on the overlay until clear().
+  function end() {
+    const p = load().active;
+    if (!p || p.ended) throw fail('no_active_poll');
+    p.ended = true;
+    p.endedAt = new Date().toISOString();
+    archive(p);
+    save();
+    scheduleEnd();
+    publishNow();
+    return publicPoll(p);
+  }
+
+  return {
+    get() {
+      const s = load();
+      return { active: publicPoll(s.active), history: s.history.slice() };
+    },
+
+    current() {
+      return publicPoll(load().active);
+    },
+
+    // { question, options: [label], durationSec, command, memberWeight, hideVotes }
+    start(input = {}) {
+      const s = load();
+      if (s.active && !s.active.ended) throw fail('poll_active');
+      const labels = (Array.isArray(input.options) ? input.options : []).map((o) => cleanText(o, 80)).filter(Boolean);
+      if (labels.length < 2 || labels.length > MAX_OPTIONS) throw fail('invalid_options');
+      const command = input.command === undefined || input.command === '' ? '!vote' : String(input.command).trim();
+      if (!COMMAND_RE.test(command)) throw fail('invalid_command');
+      const now = Date.now();
+      s.active = {
+        id: crypto.randomBytes(6).toString('hex'),
+        source: 'chat',
+        question: cleanText(input.question, 120),
+        options: labels.map((label) => ({ label, votes: 0 })),
+        command: command.toLowerCase(),
+        memberWeight: clampInt(input.memberWeight, 1, 10, 1),
+        hideVotes: input.hideVotes !== false,
+        startedAt: new Date(now).toISOString(),
+        endsAt: new Date(now + clampInt(input.durationSec, 10, 24 * 60 * 60, 120) * 1000).toISOString(),
+        ended: false,
+        endedAt: null,
+        voterCount: 0,
+        voters: {}
+      };
+      save();
+      scheduleEnd();
+      publishNow();
+      return publicPoll(s.active);
+    },
+
+    end,
+
+    // Takes the poll card off the overlay.
+    clear() {
+      const s = load();
+      if (s.active && !s.active.ended) end();
+      s.active = null;
+      save();
+      scheduleEnd();
+      publishNow();
+    },
+
+    // A chat message from the poller. Returns { vote: true, hide } when the
+    // message was a vote command for the running poll.
+    handleChat({ channelId, text, isMember }) {
+      const p = load().active;
+      if (!p || p.ended || p.source !== 'chat' || !channelId) return null;
+      const m = new RegExp(`^${escapeRe(p.command)}\\s*(\\d{1,2})\\b`, 'i').exec(String(text || '').trim());
+      if (!m) return null;
+      const idx = Number(m[1]) - 1;
+      if (idx < 0 || idx >= p.options.length) return { vote: true, hide: p.hideVotes };
+      if (Date.now() >= Date.parse(p.endsAt)) return { vote: true, hide: p.hideVotes };
+      if (p.voters[channelId] === undefined) {
+        p.voters[channelId] = idx;
+        p.options[idx].votes += isMember ? p.memberWeight : 1;
+        p.voterCount += 1;
+        publishSoon();
+      }
+      return { vote: true, hide: p.hideVotes };
+    },
+
+    // liveChatMessage with snippet.type === 'pollEvent'. Replaces whatever
+    // the card shows unless a chat poll is still running.
+    onYouTubePoll(item) {
+      const s = load();
+      const poll = fromYouTubePoll(item?.id, item?.snippet?.pollDetails);
+      if (!poll) return null;
+      if (s.active && !s.active.ended && s.active.source === 'chat') return null;
+      s.active = poll;
+      if (poll.ended) archive(poll);
+      save();
+      scheduleEnd();
+      publishNow();
+      return poll;
+    },
+
+    // Reads polls.json at startup so a running poll still closes at its
+    // deadline (or right away when it passed while the server was down).
+    armEndTimer() {
+      load();
+    },
+
+    stop() {
+      if (endTimer) clearTimeout(endTimer);
+      if (publishTimer) clearTimeout(publishTimer);
+      endTimer = null;
+      publishTimer = null;
+    }
+  };
+}
+
+module.exports = { createPolls, fromYouTubePoll };
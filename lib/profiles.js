@@ -0,0 +1,121 @@
+const { isValidLayout, DEFAULT_LAYOUT } = require('./layouts');
+const { normalizeTheme } = require('./themes');
+
+// ===== Overlay profiles (named presets) =====
+// settings.json keeps a list of profiles, each with its own overlay fields
+// (announce / xid / fanart / logo / logoZoom / chat / layout) and theme, plus the id of
+// the active one:
+//   { profiles: [{ id, name, announce, ..., theme }], activeProfile: 'default', alerts, ... }
+// Files written before profiles existed have those fields at the top level;
+// they become the "default" profile on first read.
+// Functions here are pure: they take the settings object and return a new one.
+
+const PROFILE_FIELDS = ['announce', 'xid', 'fanart', 'logo', 'logoZoom', 'chat', 'layout'];
+const DEFAULT_PROFILE_ID = 'default';
+const MAX_PROFILES = 30;
+const ID_RE = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+function fail(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+function isValidProfileId(id) {
+  return typeof id === 'string' && ID_RE.test(id);
+}
+
+function normalizeProfile(input, id) {
+  const p = (input && typeof input === 'object') ? input : {};
+  const out = {
+    id,
+    name: (typeof p.name === 'string' && p.name.trim()) ? p.name.trim().slice(0, 60) : id,
+    announce: typeof p.announce === 'string' ? p.announce : '',
+    xid: typeof p.xid === 'string' ? p.xid : '',
+    fanart: typeof p.fanart === 'string' ? p.fanart : '',
+    logo: typeof p.logo === 'string' ? p.logo : '',
+    logoZoom: typeof p.logoZoom === 'number' ? p.logoZoom : (typeof p.logoZoom === 'string' && p.logoZoom !== '' ? Number(p.logoZoom) : undefined),
+    chat: typeof p.chat === 'string' ? p.chat : '',
+    layout: isValidLayout(p.layout) ? p.layout : DEFAULT_LAYOUT,
+    theme: normalizeTheme(p.theme)
+  };
+  if (!Number.isFinite(out.logoZoom)) delete out.logoZoom;
+  return out;
+}
+
+// Returns settings with a valid `profiles` list and `activeProfile`
+// (migrating legacy top-level fields into the default profile).
+function ensureProfiles(settings) {
+  const s = (settings && typeof settings === 'object') ? settings : {};
+  let profiles = Array.isArray(s.profiles)
+    ? s.profiles.filter((p) => p && isValidProfileId(p.id)).map((p) => normalizeProfile(p, p.id))
+    : [];
+  if (!profiles.length) {
+    profiles = [normalizeProfile({ ...s, name: 'デフォルト' }, DEFAULT_PROFILE_ID)];
+  }
+  const activeProfile = profiles.some((p) => p.id === s.activeProfile) ? s.activeProfile : profiles[0].id;
+  const next = { ...s, profiles, activeProfile };
+  for (const k of PROFILE_FIELDS) delete next[k];
+  return next;
+}
+
+// The requested profile, else the active one.
+function resolveProfile(settings, id) {
+  const s = ensureProfiles(settings);
+  return s.profiles.find((p) => p.id === id) || s.profiles.find((p) => p.id === s.activeProfile);
+}
+
+function updateProfile(settings, id, input) {
+  const s = ensureProfiles(settings);
+  const cur = s.profiles.find((p) => p.id === id);
+  if (!cur) throw fail('profile_not_found');
+  const next = normalizeProfile({ ...input, name: input.name || cur.name, theme: input.theme ?? cur.theme }, id);
+  return { ...s, profiles: s.profiles.map((p) => (p.id === id ? next : p)) };
+}
+
+// Creates an empty profile, or a copy of `from` (duplicate).
+function createProfile(settings, { id, name, from }) {
+  const s = ensureProfiles(settings);
+  if (s.profiles.length >= MAX_PROFILES) throw fail('too_many_profiles');
+  const newId = id || `p-${Date.now().toString(36)}`;
+  if (!isValidProfileId(newId)) throw fail('invalid_profile_id');
+  if (s.profiles.some((p) => p.id === newId)) throw fail('profile_exists');
+  let base = {};
+  if (from) {
+    base = s.profiles.find((p) => p.id === from);
+    if (!base) throw fail('profile_not_found');
+  }
+  const profile = normalizeProfile({ ...base, name: name || (from ? `${base.name} のコピー` : newId) }, newId);
+  return { ...s, profiles: [...s.profiles, profile] };
+}
+
+function deleteProfile(settings, id) {
+  const s = ensureProfiles(settings);
+  if (!s.profiles.some((p) => p.id === id)) throw fail('profile_not_found');
+  if (s.profiles.length <= 1) throw fail('last_profile');
+  const profiles = s.profiles.filter((p) => p.id !== id);
+  return { ...s, profiles, activeProfile: s.activeProfile === id ? profiles[0].id : s.activeProfile };
+}
+
+function setProfileTheme(settings, id, theme) {
+  const s = ensureProfiles(settings);
+  if (!s.profiles.some((p) => p.id === id)) throw fail('profile_not_found');
+  return { ...s, profiles: s.profiles.map((p) => (p.id === id ? { ...p, theme: normalizeTheme(theme) } : p)) };
+}
+
+function activateProfile(settings, id) {
+  const s = ensureProfiles(settings);
+  if (!s.profiles.some((p) => p.id === id)) throw fail('profile_not_found');
+  return { ...s, activeProfile: id };
+}
+
+module.exports = {
+  ensureProfiles,
+  resolveProfile,
+  updateProfile,
+  createProfile,
+  deleteProfile,
+  activateProfile,
+  setProfileTheme,
+  isValidProfileId,
+  PROFILE_FIELDS,
+  DEFAULT_PROFILE_ID
+};
@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+
+// ===== YouTube Data API quota budget =====
+// Counts the estimated quota units of every real API call (poller,
+// /api/yt/diagnose and the upcoming-broadcast checks) and stretches the poll interval so the day's budget lasts
+// for the expected stream length. The quota belongs to the Google Cloud
+// project, which all tenants share, so there is one budget per deployment
+// (DATA_DIR/quota.json):
+//   { day: 'YYYY-MM-DD' (Pacific), units, calls: { <call>: { count, units } },
+//     byTenant: { <slug>: units }, bySource: { poller, diagnose, schedule },
+//     exceededAt, settings: { dailyBudget, streamHours },
+//     history: [{ day, units, dailyBudget }] (previous days, newest first) }
+// The daily quota resets at midnight Pacific time, like Google's counter.
+// Units are estimates (Google's published costs); the console's numbers are
+// authoritative.
+
+const TZ = 'America/Los_Angeles';
+const UNIT_COSTS = { 'channels.list': 1, 'liveBroadcasts.list': 1, 'liveChatMessages.list': 5 };
+const SOURCES = ['poller', 'diagnose', 'schedule'];
+const MAX_HISTORY = 14;
+const HOUR_MS = 60 * 60 * 1000;
+const RATE_WINDOW_MS = HOUR_MS;
+const ACTIVE_MS = 10 * 60 * 1000; // a tenant that called within this is sharing the budget
+const LIVE_GAP_MS = 30 * 60 * 1000; // chat polls further apart than this start a new stream
+const MIN_WINDOW_MS = 30 * 60 * 1000; // a stream running over its expected length still plans this far ahead
+const DETECT_MAX_MS = 5 * 60 * 1000; // live detection never waits longer than this
+const SAVE_DELAY_MS = 5000;
+const LIMITS = { dailyBudget: [100, 10_000_000], streamHours: [0.5, 24] };
+
+const dayFormat = new Intl.DateTimeFormat('en-CA', { timeZone: TZ, year: 'numeric', month: '2-digit', day: '2-digit' });
+
+function fail(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+function pacificDay(ms) {
+  return dayFormat.format(new Date(ms));
+}
+
+// Next Pacific midnight. Pacific offsets are whole hours, so it falls on a
+// UTC hour boundary.
+function nextResetAt(ms) {
+  const day = pacificDay(ms);
+  let t = Math.floor(ms / HOUR_MS) * HOUR_MS;
+  do { t += HOUR_MS; } while (pacificDay(t) === day);
+  return t;
+}
+
+function clampSetting(name, v, fallback) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return fallback;
+  const [min, max] = LIMITS[name];
+  return Math.min(max, Math.max(min, n));
+}
+
+function emptyDay(day) {
+  return { day, units: 0, calls: {}, byTenant: {}, bySource: {}, exceededAt: null };
+}
+
+function createQuotaBudget({ filePath, dailyBudget, streamHours }) {
+  const defaults = {
+    dailyBudget: Math.round(clampSetting('dailyBudget', dailyBudget, 10000)),
+    streamHours: clampSetting('streamHours', streamHours, 4)
+  };
+  let state = null;
+  let saveTimer = null;
+  // In memory only: recent calls for the rate, and per-tenant activity.
+  let recent = []; // [at, units]
+  const tenants = new Map(); // slug -> { lastAt, lastChatAt, liveSince }
+
+  function load() {
+    if (state) return state;
+    state = { ...emptyDay(pacificDay(Date.now())), settings: { ...defaults }, history: [] };
+    try {
+      if (fs.existsSync(filePath)) {
+        const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (json && typeof json === 'object' && /^\d{4}-\d{2}-\d{2}$/.test(json.day)) {
+          state.day = json.day;
+          state.units = Number(json.units) || 0;
+          for (const key of ['calls', 'byTenant', 'bySource']) {
+            if (json[key] && typeof json[key] === 'object') state[key] = json[key];
+          }
+          state.exceededAt = json.exceededAt || null;
+        }
+        if (json?.settings) {
+          state.settings = {
+            dailyBudget: Math.round(clampSetting('dailyBudget', json.settings.dailyBudget, defaults.dailyBudget)),
+            streamHours: clampSetting('streamHours', json.settings.streamHours, defaults.streamHours)
+          };
+        }
+        if (Array.isArray(json?.history)) state.history = json.history.slice(0, MAX_HISTORY);
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[quota] failed to read quota state, starting empty', e);
+    }
+    return state;
+  }
+
+  function save() {
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+      const dir = path.dirname(filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      const tmp = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(state, null, 2), 'utf8');
+      fs.renameSync(tmp, filePath);
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[quota] failed to save quota state', e);
+    }
+  }
+
+  // Calls come every few seconds while polling: batch the writes.
+  function saveSoon() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(save, SAVE_DELAY_MS);
+    saveTimer.unref?.();
+  }
+
+  // Rolls the counters over after Pacific midnight.
+  function current(now = Date.now()) {
+    const s = load();
+    const day = pacificDay(now);
+    if (s.day !== day) {
+      if (s.units > 0) {
+        s.history = [{ day: s.day, units: s.units, dailyBudget: s.settings.dailyBudget }, ...s.history].slice(0, MAX_HISTORY);
+      }
+      Object.assign(s, emptyDay(day));
+      recent = [];
+      save();
+    }
+    return s;
+  }
+
+  function remaining(s) {
+    return Math.max(0, s.settings.dailyBudget - s.units);
+  }
+
+  function activeTenants(now) {
+    let all = 0;
+    let live = 0;
+    for (const a of tenants.values()) {
+      if (now - a.lastAt <= ACTIVE_MS) all += 1;
+      if (a.lastChatAt && now - a.lastChatAt <= ACTIVE_MS) live += 1;
+    }
+    return { all: Math.max(1, all), live: Math.max(1, live) };
+  }
+
+  // Units a whole stream needs at `baseMs` (kept back from live detection).
+  function streamNeed(s, baseMs) {
+    return Math.ceil((s.settings.streamHours * HOUR_MS) / Math.max(1200, baseMs)) * UNIT_COSTS['liveChatMessages.list'];
+  }
+
+  // Minimum interval (ms) between `call`s of one tenant so the rest of the
+  // budget lasts: chat polls are spread over the rest of the expected stream,
+  // live detection only spends what a full stream would not need.
+  function plan(s, tenant, call, baseMs, now) {
+    const left = remaining(s);
+    const untilReset = nextResetAt(now) - now;
+    const n = activeTenants(now);
+    if (call === 'liveChatMessages.list') {
+      if (left <= 0) return untilReset;
+      const a = tenants.get(tenant);
+      const since = a?.liveSince && now - a.lastChatAt <= LIVE_GAP_MS ? a.liveSince : now;
+      const streamLeft = Math.max(MIN_WINDOW_MS, s.settings.streamHours * HOUR_MS - (now - since));
+      const windowMs = Math.min(streamLeft, untilReset);
+      return Math.ceil((windowMs * UNIT_COSTS[call] * n.live) / left);
+    }
+    const spare = left - streamNeed(s, baseMs);
+    if (spare <= 0) return DETECT_MAX_MS;
+    return Math.min(DETECT_MAX_MS, Math.ceil((untilReset * (UNIT_COSTS[call] || 1) * n.all) / spare));
+  }
+
+  // One real API call. source: poller | diagnose | schedule.
+  function record(call, { tenant, source = 'poller' } = {}) {
+    const cost = UNIT_COSTS[call];
+    if (!cost) return;
+    const now = Date.now();
+    const s = current(now);
+    s.units += cost;
+    const c = s.calls[call] || { count: 0, units: 0 };
+    s.calls[call] = { count: c.count + 1, units: c.units + cost };
+    if (tenant) s.byTenant[tenant] = (Number(s.byTenant[tenant]) || 0) + cost;
+    const src = SOURCES.includes(source) ? source : 'poller';
+    s.bySource[src] = (Number(s.bySource[src]) || 0) + cost;
+    recent.push([now, cost]);
+    while (recent.length && now - recent[0][0] > RATE_WINDOW_MS) recent.shift();
+    if (tenant && src === 'poller') {
+      const a = tenants.get(tenant) || { lastAt: 0, lastChatAt: 0, liveSince: 0 };
+      a.lastAt = now;
+      if (call === 'liveChatMessages.list') {
+        if (!a.lastChatAt || now - a.lastChatAt > LIVE_GAP_MS) a.liveSince = now;
+        a.lastChatAt = now;
+      }
+      tenants.set(tenant, a);
+    }
+    saveSoon();
+  }
+
+  function view() {
+    const now = Date.now();
+    const s = current(now);
+    const resetAt = nextResetAt(now);
+    const left = remaining(s);
+    const windowMs = recent.length ? Math.min(RATE_WINDOW_MS, Math.max(5 * 60 * 1000, now - recent[0][0])) : RATE_WINDOW_MS;
+    const ratePerHour = Math.round((recent.reduce((sum, [, u]) => sum + u, 0) / windowMs) * HOUR_MS);
+    const exhaustMs = ratePerHour > 0 ? (left / ratePerHour) * HOUR_MS : Infinity;
+    return {
+      estimated: true,
+      day: s.day,
+      resetAt: new Date(resetAt).toISOString(),
+      dailyBudget: s.settings.dailyBudget,
+      streamHours: s.settings.streamHours,
+      units: s.units,
+      remaining: left,
+      calls: Object.keys(UNIT_COSTS).map((call) => ({ call, cost: UNIT_COSTS[call], count: s.calls[call]?.count || 0, units: s.calls[call]?.units || 0 })),
+      byTenant: { ...s.byTenant },
+      bySource: { ...s.bySource },
+      exceededAt: s.exceededAt,
+      projection: {
+        ratePerHour,
+        unitsAtReset: Math.round(s.units + (ratePerHour * (resetAt - now)) / HOUR_MS),
+        exhaustAt: now + exhaustMs < resetAt ? new Date(now + exhaustMs).toISOString() : null,
+        // Chat poll interval the budget allows right now (per live tenant).
+        chatIntervalMs: plan(s, null, 'liveChatMessages.list', 0, now)
+      },
+      history: s.history.slice()
+    };
+  }
+
+  return {
+    record,
+
+    // Wraps a googleapis `youtube` client so every call is counted (also
+    // when it fails: rejected requests cost quota too).
+    wrap(youtube, meta) {
+      const out = {};
+      for (const call of Object.keys(UNIT_COSTS)) {
+        const [ns, method] = call.split('.');
+        out[ns] = {
+          ...(out[ns] || {}),
+          [method]: (params) => {
+            record(call, meta);
+            return youtube[ns][method](params);
+          }
+        };
+      }
+      return out;
+    },
+
+    // The API answered quotaExceeded (the real counter ran out, whatever the estimate says).
+    noteExceeded() {
+      const s = current();
+      s.exceededAt = new Date().toISOString();
+      saveSoon();
+    },
+
+    exhausted() {
+      return remaining(current()) <= 0;
+    },
+
+    msUntilReset() {
+      const now = Date.now();
+      return nextResetAt(now) - now;
+    },
+
+    intervalMs(tenant, call, baseMs) {
+      const now = Date.now();
+      return plan(current(now), tenant, call, baseMs, now);
+    },
+
+    // { dailyBudget, streamHours }
+    configure(input = {}) {
+      const s = current();
+      const next = { ...s.settings };
+      for (const name of Object.keys(LIMITS)) {
+        if (input[name] === undefined) continue;
+        const n = Number(input[name]);
+        const [min, max] = LIMITS[name];
+        if (!Number.isFinite(n) || n < min || n > max) throw fail(`invalid_${name === 'dailyBudget' ? 'budget' : 'stream_hours'}`);
+        next[name] = name === 'dailyBudget' ? Math.round(n) : Math.round(n * 4) / 4;
+      }
+      s.settings = next;
+      save();
+      return view();
+    },
+
+    state: view,
+
+    flush() {
+      if (saveTimer) save();
+    }
+  };
+}
+
+module.exports = { createQuotaBudget, pacificDay, nextResetAt, UNIT_COSTS };
@@ -0,0 +1,313 @@
+const fs = require('fs');
+const path = require('path');
+const { ensureProfiles, isValidProfileId } = require('./profiles');
+const { isValidLayout } = require('./layouts');
+
+// ===== Settings storage (settings.json + revisions) =====
+// Every write of a tenant's settings.json goes through here: it is checked
+// against the schema below, written atomically (temp file + rename) with a
+// `schemaVersion`, and recorded as a revision (settings-history.json):
+//   { revisions: [{ rev, at, actor, action, restoredFrom,
+//                   changes: [{ path, before, after }],
+//                   settings (the whole file after the change) }] }   newest first
+// `actor` is who saved (the Basic auth user, "apikey:<name>", "system"),
+// `action` what /control or the API did (settings, theme, alerts, ...).
+// Files from older versions are migrated on first read (recorded as a
+// `migrate` revision, so the original can still be restored).
+
+const SCHEMA_VERSION = 2;
+const MAX_REVISIONS = 50;
+const MAX_CHANGES = 100; // per revision
+
+// Overlay fields of a profile. Older files may break the limits: migration
+// brings them into range, writes are refused.
+const PROFILE_SCHEMA = {
+  id: { type: 'string', check: isValidProfileId },
+  name: { type: 'string', max: 60 },
+  announce: { type: 'string', max: 1000 },
+  xid: { type: 'string', max: 100 },
+  fanart: { type: 'string', max: 100 },
+  logo: { type: 'string', max: 2048 },
+  logoZoom: { type: 'number', min: 1.0, max: 1.6, optional: true },
+  chat: { type: 'string', max: 2048 },
+  layout: { type: 'string', check: isValidLayout },
+  theme: { type: 'object' }
+};
+
+// Top level. The shared sections have their own normalizers
+// (lib/alert-templates.js, lib/announcements.js, lib/layouts.js), which the
+// routes apply before saving.
+const ROOT_SCHEMA = {
+  profiles: { type: 'array', min: 1 },
+  activeProfile: { type: 'string' },
+  alerts: { type: 'object', optional: true },
+  alertMedia: { type: 'object', optional: true },
+  announcements: { type: 'array', optional: true },
+  hiddenRegions: { type: 'array', optional: true }
+};
+
+function fail(code, field) {
+  return Object.assign(new Error(code), { code, field });
+}
+
+function typeOf(v) {
+  if (Array.isArray(v)) return 'array';
+  if (v === null) return 'null';
+  return typeof v;
+}
+
+function isObject(v) {
+  return typeOf(v) === 'object';
+}
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+// Problem with `value` (field name), or null.
+function checkField(rule, value) {
+  if (value === undefined) return rule.optional ? null : 'required';
+  if (typeOf(value) !== rule.type) return 'type';
+  if (rule.type === 'number' && !Number.isFinite(value)) return 'type';
+  if (rule.check && !rule.check(value)) return 'invalid';
+  const size = rule.type === 'number' ? value : value.length;
+  if (rule.min !== undefined && size < rule.min) return 'min';
+  if (rule.max !== undefined && size > rule.max) return 'max';
+  return null;
+}
+
+// Throws invalid_settings with `field` (e.g. "profiles.default.logoZoom").
+function validateSettings(s) {
+  if (!isObject(s)) throw fail('invalid_settings', '');
+  for (const key of Object.keys(s)) {
+    if (!ROOT_SCHEMA[key]) throw fail('invalid_settings', key);
+  }
+  for (const [key, rule] of Object.entries(ROOT_SCHEMA)) {
+    if (checkField(rule, s[key])) throw fail('invalid_settings', key);
+  }
+  const ids = new Set();
+  for (const p of s.profiles) {
+    if (!isObject(p) || !isValidProfileId(p.id) || ids.has(p.id)) throw fail('invalid_settings', 'profiles');
+    ids.add(p.id);
+    for (const key of Object.keys(p)) {
+      if (!PROFILE_SCHEMA[key]) throw fail('invalid_settings', `profiles.${p.id}.${key}`);
+    }
+    for (const [key, rule] of Object.entries(PROFILE_SCHEMA)) {
+      if (checkField(rule, p[key])) throw fail('invalid_settings', `profiles.${p.id}.${key}`);
+    }
+  }
+  if (!ids.has(s.activeProfile)) throw fail('invalid_settings', 'activeProfile');
+}
+
+// Brings a profile written before the schema into range.
+function coerceProfile(p) {
+  const out = { ...p };
+  for (const [key, rule] of Object.entries(PROFILE_SCHEMA)) {
+    if (rule.type === 'string' && rule.max && typeof out[key] === 'string') out[key] = out[key].slice(0, rule.max);
+    if (rule.type === 'number' && typeof out[key] === 'number') out[key] = Math.min(rule.max, Math.max(rule.min, out[key]));
+  }
+  return out;
+}
+
+// schemaVersion -> upgrade to the next version.
+const MIGRATIONS = {
+  // 1: unversioned files, possibly with the overlay fields at the top level
+  // (before profiles). Values the overlay used to clamp when showing them
+  // (logoZoom) are clamped here; unknown keys and sections of the wrong type
+  // are dropped.
+  1(s) {
+    const next = ensureProfiles(s);
+    const out = {};
+    for (const [key, rule] of Object.entries(ROOT_SCHEMA)) {
+      if (next[key] !== undefined && typeOf(next[key]) === rule.type) out[key] = next[key];
+    }
+    out.profiles = next.profiles.map(coerceProfile);
+    return out;
+  }
+};
+
+function migrate(raw) {
+  const { schemaVersion, ...rest } = raw;
+  let version = Number.isInteger(schemaVersion) ? schemaVersion : 1;
+  let s = rest;
+  while (version < SCHEMA_VERSION) {
+    s = MIGRATIONS[version](s);
+    version += 1;
+  }
+  return s;
+}
+
+// Leaf values by path. Arrays of objects with an `id` (profiles,
+// announcements) are keyed by id so reordering does not show as a change.
+// An empty object is a leaf, except at the root (a missing file has no paths).
+function flatten(v, prefix, out) {
+  if (isObject(v) && (Object.keys(v).length || !prefix)) {
+    for (const [k, x] of Object.entries(v)) flatten(x, prefix ? `${prefix}.${k}` : k, out);
+  } else if (Array.isArray(v) && v.length && v.every((x) => isObject(x) && (typeof x.id === 'string' || typeof x.id === 'number'))) {
+    for (const x of v) flatten(x, `${prefix}[${x.id}]`, out);
+  } else {
+    out.set(prefix, v);
+  }
+  return out;
+}
+
+function diffSettings(before, after) {
+  const a = flatten(before || {}, '', new Map());
+  const b = flatten(after || {}, '', new Map());
+  const changes = [];
+  for (const p of new Set([...a.keys(), ...b.keys()])) {
+    if (JSON.stringify(a.get(p)) !== JSON.stringify(b.get(p))) {
+      changes.push({ path: p, before: a.has(p) ? a.get(p) : null, after: b.has(p) ? b.get(p) : null });
+    }
+  }
+  return changes;
+}
+
+function summary(r) {
+  return {
+    rev: r.rev,
+    at: r.at,
+    actor: r.actor,
+    action: r.action,
+    restoredFrom: r.restoredFrom ?? null,
+    changeCount: r.changeCount ?? r.changes.length,
+    paths: r.changes.slice(0, 5).map((c) => c.path)
+  };
+}
+
+function createSettingsStore({ filePath, historyPath }) {
+  let history = null;
+
+  function writeAtomic(file, obj) {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(obj, null, 2), 'utf8');
+    fs.renameSync(tmp, file);
+  }
+
+  function loadHistory() {
+    if (history) return history;
+    history = { revisions: [] };
+    try {
+      if (fs.existsSync(historyPath)) {
+        const json = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+        history.revisions = (Array.isArray(json?.revisions) ? json.revisions : [])
+          .filter((r) => r && Number.isInteger(r.rev) && isObject(r.settings) && Array.isArray(r.changes))
+          .slice(0, MAX_REVISIONS);
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[settings] failed to read settings history, starting empty', e);
+    }
+    return history;
+  }
+
+  // The file as stored: { schemaVersion, ... }, {} when missing, null when unreadable.
+  function readFile() {
+    try {
+      if (!fs.existsSync(filePath)) return {};
+      const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return isObject(json) ? json : null;
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[settings] failed to read settings.json', e);
+      return null;
+    }
+  }
+
+  // Writes `next` (already valid) and records the revision. No-op when nothing changed.
+  function commit(prevRaw, next, { actor, action, restoredFrom } = {}) {
+    const stored = { schemaVersion: SCHEMA_VERSION, ...next };
+    const changes = diffSettings(prevRaw, stored);
+    if (!changes.length) return null;
+    writeAtomic(filePath, stored);
+    const h = loadHistory();
+    // The state before the first recorded change, so it can be restored too.
+    if (!h.revisions.length && prevRaw && Object.keys(prevRaw).length) {
+      h.revisions.unshift({ rev: 1, at: new Date().toISOString(), actor: 'system', action: 'initial', changes: [], settings: prevRaw });
+    }
+    const entry = {
+      rev: (h.revisions[0]?.rev || 0) + 1,
+      at: new Date().toISOString(),
+      actor: String(actor || 'system').slice(0, 100),
+      action: String(action || 'settings').slice(0, 40),
+      ...(restoredFrom ? { restoredFrom } : {}),
+      changeCount: changes.length,
+      changes: changes.slice(0, MAX_CHANGES),
+      settings: stored
+    };
+    h.revisions = [entry, ...h.revisions].slice(0, MAX_REVISIONS);
+    try {
+      writeAtomic(historyPath, h);
+    } catch (e) {
+      // The settings are saved; only the audit entry is lost.
+      // eslint-disable-next-line no-console
+      console.error('[settings] failed to save settings history', e);
+    }
+    return entry;
+  }
+
+  // Current settings (without schemaVersion). Old files are migrated and
+  // saved; an unreadable file falls back to the newest revision.
+  function read() {
+    const raw = readFile();
+    if (!raw) {
+      const last = loadHistory().revisions[0];
+      return last ? migrate(clone(last.settings)) : {};
+    }
+    if (!Object.keys(raw).length) return {};
+    const settings = migrate(raw);
+    if (!(raw.schemaVersion >= SCHEMA_VERSION)) {
+      try {
+        commit(raw, settings, { actor: 'system', action: 'migrate' });
+      } catch (e) {
+        // eslint-disable-next-line no-console
+        console.error('[settings] failed to save migrated settings.json', e);
+      }
+    }
+    return settings;
+  }
+
+  // Validates and saves; throws invalid_settings (with `field`).
+  // meta: { actor, action }. Returns the saved settings.
+  function write(input, meta) {
+    const next = ensureProfiles(isObject(input) ? clone(input) : {});
+    validateSettings(next);
+    commit(readFile() || {}, next, meta);
+    return next;
+  }
+
+  function find(rev) {
+    const r = loadHistory().revisions.find((x) => x.rev === Number(rev));
+    if (!r) throw fail('revision_not_found');
+    return r;
+  }
+
+  return {
+    read,
+    write,
+
+    // Newest first, without the snapshots.
+    revisions() {
+      return loadHistory().revisions.map(summary);
+    },
+
+    // One revision with its changes (the diff against the previous state).
+    revision(rev) {
+      const r = find(rev);
+      return { ...summary(r), changes: clone(r.changes) };
+    },
+
+    // Saves the settings as they were after `rev` (recorded as a new revision).
+    restore(rev, { actor } = {}) {
+      const r = find(rev);
+      const next = migrate(clone(r.settings));
+      validateSettings(next);
+      const entry = commit(readFile() || {}, next, { actor, action: 'restore', restoredFrom: r.rev });
+      return entry ? summary(entry) : null;
+    }
+  };
+}
+
+module.exports = { createSettingsStore, validateSettings, diffSettings, SCHEMA_VERSION };
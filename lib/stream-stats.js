@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+
+// ===== Per-broadcast analytics =====
+// Aggregated from the records the chat history stores (only new ones, after
+// its dedupe) plus the poll errors / backoffs of the poller. Reports are kept
+// after the chat history itself expires, so streams can be compared later.
+//
+// Layout (per tenant):
+//   <dir>/<broadcastId>.json   one report (see emptyReport)
+//   <dir>/chatters.txt         every channel id seen so far, one per line (first-time chatters)
+
+const TOP_CHATTERS = 20;
+
+function safeId(id) {
+  return String(id || '').replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64);
+}
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function emptyReport(broadcast, now) {
+  return {
+    id: broadcast.id,
+    title: broadcast.title || '',
+    source: broadcast.source || 'youtube',
+    firstAt: now,
+    lastAt: now,
+    messages: 0, // normal chat messages (filtered ones included)
+    perMinute: {}, // 'YYYY-MM-DDTHH:MM' (UTC) -> messages
+    chatters: {}, // channelId -> { name, count }
+    firstTimers: 0,
+    superchats: {}, // currency -> { count, amountMicros }
+    memberships: 0,
+    gifts: 0, // gifted memberships (events with an unknown count count as 1)
+    giftEvents: 0,
+    errors: { poll: 0, quota: 0, backoffs: 0, backoffMs: 0 }
+  };
+}
+
+// Derived view for the API / exports (the raw chatter map can be large).
+function summarize(r) {
+  const chatters = Object.values(r.chatters || {});
+  const minutes = Object.keys(r.perMinute || {}).sort();
+  const spanMin = Math.max(1, Math.round((Date.parse(r.lastAt) - Date.parse(r.firstAt)) / 60000));
+  return {
+    id: r.id,
+    title: r.title,
+    source: r.source,
+    firstAt: r.firstAt,
+    lastAt: r.lastAt,
+    durationMin: spanMin,
+    messages: r.messages,
+    messagesPerMinute: Math.round((r.messages / spanMin) * 10) / 10,
+    peakPerMinute: minutes.reduce((m, k) => Math.max(m, r.perMinute[k]), 0),
+    uniqueChatters: chatters.length,
+    firstTimers: r.firstTimers,
+    superchats: Object.entries(r.superchats || {}).map(([currency, v]) => ({
+      currency,
+      count: v.count,
+      amount: v.amountMicros / 1e6
+    })),
+    memberships: r.memberships,
+    gifts: r.gifts,
+    giftEvents: r.giftEvents,
+    errors: { ...r.errors }
+  };
+}
+
+function createStreamStats({ dir }) {
+  const knownPath = path.join(dir, 'chatters.txt');
+  let known = null; // Set of channel ids seen in any broadcast
+  let current = null; // report being written
+  const cache = new Map(); // id -> report (read-only views, and reports written earlier this run)
+
+  function writeJson(file, obj) {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(obj), 'utf8');
+    fs.renameSync(tmp, file);
+  }
+
+  function readJson(file) {
+    try {
+      if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[stats] failed to read', path.basename(file), e);
+    }
+    return null;
+  }
+
+  function fileOf(id) {
+    return path.join(dir, `${safeId(id)}.json`);
+  }
+
+  function loadKnown() {
+    if (known) return known;
+    known = new Set();
+    try {
+      if (fs.existsSync(knownPath)) {
+        for (const line of fs.readFileSync(knownPath, 'utf8').split('\n')) if (line) known.add(line);
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[stats] failed to read chatters', e);
+    }
+    return known;
+  }
+
+  function load(id) {
+    if (current?.id === id) return current;
+    if (cache.has(id)) return cache.get(id);
+    const json = readJson(fileOf(id));
+    if (json && json.id === id) cache.set(id, json);
+    return cache.get(id) || null;
+  }
+
+  function reportFor(broadcast) {
+    if (current?.id === broadcast.id) return current;
+    // Simulcast: sources take turns, so keep the previous one at hand.
+    if (current) cache.set(current.id, current);
+    const now = new Date().toISOString();
+    current = load(broadcast.id) || emptyReport(broadcast, now);
+    cache.delete(broadcast.id);
+    return current;
+  }
+
+  function save() {
+    writeJson(fileOf(current.id), current);
+  }
+
+  // records: fresh chat-history records of one poll (see toHistoryRecord).
+  function record(broadcast, records) {
+    if (!broadcast?.id || !records?.length) return;
+    const r = reportFor(broadcast);
+    const ids = loadKnown();
+    const newIds = [];
+    if (broadcast.title) r.title = broadcast.title;
+    r.lastAt = new Date().toISOString();
+    for (const m of records) {
+      if (m.channelId) {
+        let c = r.chatters[m.channelId];
+        if (!c) {
+          // Not yet in this broadcast: known only from earlier ones.
+          c = { name: m.name || '', count: 0 };
+          r.chatters[m.channelId] = c;
+          if (!ids.has(m.channelId)) {
+            r.firstTimers += 1;
+            ids.add(m.channelId);
+            newIds.push(m.channelId);
+          }
+        }
+        c.name = m.name || c.name;
+        c.count += 1;
+      }
+      if (m.type === 'chat') {
+        r.messages += 1;
+        const at = new Date(m.publishedAt || m.receivedAt || Date.now());
+        if (!Number.isNaN(at.getTime())) {
+          const key = at.toISOString().slice(0, 16);
+          r.perMinute[key] = (r.perMinute[key] || 0) + 1;
+        }
+      } else if (m.type === 'superchat') {
+        const cur = m.currency || '???';
+        const s = r.superchats[cur] || { count: 0, amountMicros: 0 };
+        s.count += 1;
+        s.amountMicros += Number(m.amountMicros) || 0;
+        r.superchats[cur] = s;
+      } else if (m.type === 'membership') {
+        r.memberships += 1;
+      } else if (m.type === 'gift') {
+        r.giftEvents += 1;
+        r.gifts += Math.max(1, Number(m.giftCount) || 1);
+      }
+    }
+    save();
+    if (newIds.length) fs.appendFileSync(knownPath, `${newIds.join('\n')}\n`, 'utf8');
+  }
+
+  // A failed poll while a broadcast is active. backoffMs > 0 when it started a quota backoff.
+  function noteError(broadcast, { quota = false, backoffMs = 0 } = {}) {
+    if (!broadcast?.id) return;
+    const r = reportFor(broadcast);
+    r.errors.poll += 1;
+    if (quota) r.errors.quota += 1;
+    if (backoffMs > 0) {
+      r.errors.backoffs += 1;
+      r.errors.backoffMs += backoffMs;
+    }
+    save();
+  }
+
+  function list() {
+    if (!fs.existsSync(dir)) return [];
+    const out = [];
+    for (const f of fs.readdirSync(dir)) {
+      if (!f.endsWith('.json')) continue;
+      const json = readJson(path.join(dir, f));
+      if (json?.id) out.push(summarize(current?.id === json.id ? current : json));
+    }
+    return out.sort((a, b) => (a.firstAt < b.firstAt ? 1 : -1));
+  }
+
+  // Full report: summary + timeline + top chatters.
+  function get(id) {
+    const r = load(id);
+    if (!r) return null;
+    return {
+      ...summarize(r),
+      timeline: Object.keys(r.perMinute).sort().map((t) => ({ t: `${t}:00.000Z`, count: r.perMinute[t] })),
+      topChatters: Object.entries(r.chatters)
+        .map(([channelId, c]) => ({ channelId, name: c.name, count: c.count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, TOP_CHATTERS)
+    };
+  }
+
+  function remove(id) {
+    const file = fileOf(id);
+    if (!fs.existsSync(file)) return false;
+    fs.unlinkSync(file);
+    cache.delete(id);
+    if (current?.id === id) current = null;
+    return true;
+  }
+
+  // One row per broadcast, for comparing streams in a spreadsheet.
+  function toCsv(summaries) {
+    const cols = [
+      'id', 'title', 'source', 'firstAt', 'lastAt', 'durationMin', 'messages', 'messagesPerMinute',
+      'peakPerMinute', 'uniqueChatters', 'firstTimers', 'superchats', 'memberships', 'gifts',
+      'pollErrors', 'quotaErrors', 'backoffs'
+    ];
+    const lines = [cols.join(',')];
+    for (const s of summaries) {
+      const row = {
+        ...s,
+        superchats: s.superchats.map((x) => `${x.currency} ${x.amount} (${x.count})`).join(' / '),
+        pollErrors: s.errors.poll,
+        quotaErrors: s.errors.quota,
+        backoffs: s.errors.backoffs
+      };
+      lines.push(cols.map((c) => csvCell(row[c])).join(','));
+    }
+    // BOM so Excel opens Japanese titles correctly.
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+  }
+
+  return {
+    record,
+    noteError,
+    list,
+    get,
+    remove,
+    exportCsv: () => toCsv(list())
+  };
+}
+
+module.exports = { createStreamStats };
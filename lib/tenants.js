@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ===== Tenant registry =====
+// One deployment can host several streamers. Each tenant gets its own URL
+// namespace (/t/<slug>/...), tokens, poller, SSE fanout, settings and uploads.
+// The registry only stores metadata; per-tenant files live in their own dir.
+//
+// File format (tenants.json):
+//   { tenants: [{ slug, title, controlUser, controlPassHash, createdAt }] }
+
+// The root URLs (/, /control, /api/*) belong to this implicit tenant.
+const DEFAULT_SLUG = 'default';
+
+const SLUG_RE = /^[a-z0-9][a-z0-9-]{1,31}$/;
+const RESERVED_SLUGS = new Set([DEFAULT_SLUG, 'api', 'admin', 'assets', 'uploads', 'control']);
+
+function isValidSlug(slug) {
+  return typeof slug === 'string' && SLUG_RE.test(slug);
+}
+
+function hashPassword(pass) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(pass), salt, 32);
+  return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`;
+}
+
+function verifyPassword(pass, stored) {
+  try {
+    const [scheme, saltB64, hashB64] = String(stored || '').split(':');
+    if (scheme !== 'scrypt') return false;
+    const expected = Buffer.from(hashB64, 'base64');
+    const actual = crypto.scryptSync(String(pass), Buffer.from(saltB64, 'base64'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  } catch (_) {
+    return false;
+  }
+}
+
+function createTenantRegistry({ filePath }) {
+  let tenants = null;
+
+  function load() {
+    if (tenants) return tenants;
+    tenants = [];
+    try {
+      if (fs.existsSync(filePath)) {
+        const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (Array.isArray(json?.tenants)) {
+          tenants = json.tenants.filter((t) => t && isValidSlug(t.slug) && !RESERVED_SLUGS.has(t.slug));
+        }
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[tenants] failed to read registry', e);
+    }
+    return tenants;
+  }
+
+  function save() {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ tenants }, null, 2), 'utf8');
+    fs.renameSync(tmp, filePath);
+  }
+
+  return {
+    list() {
+      return load().slice();
+    },
+
+    get(slug) {
+      return load().find((t) => t.slug === slug) || null;
+    },
+
+    // Throws Error with `code` for validation problems (mapped to 400 by routes).
+    add({ slug, title, controlUser, controlPass }) {
+      load();
+      const s = String(slug || '').trim().toLowerCase();
+      if (!isValidSlug(s) || RESERVED_SLUGS.has(s)) {
+        throw Object.assign(new Error('invalid_slug'), { code: 'invalid_slug' });
+      }
+      if (tenants.some((t) => t.slug === s)) {
+        throw Object.assign(new Error('slug_taken'), { code: 'slug_taken' });
+      }
+      const record = {
+        slug: s,
+        title: String(title || s).slice(0, 80),
+        controlUser: String(controlUser || ''),
+        controlPassHash: controlPass ? hashPassword(controlPass) : '',
+        createdAt: new Date().toISOString()
+      };
+      tenants.push(record);
+      save();
+      return record;
+    },
+
+    remove(slug) {
+      load();
+      const before = tenants.length;
+      tenants = tenants.filter((t) => t.slug !== slug);
+      if (tenants.length !== before) save();
+      return tenants.length !== before;
+    },
+
+    // Tenant-level Basic auth. Tenants without credentials only accept the admin.
+    checkControl(slug, user, pass) {
+      const t = load().find((x) => x.slug === slug);
+      if (!t || !t.controlPassHash) return false;
+      return user === t.controlUser && verifyPassword(pass, t.controlPassHash);
+    }
+  };
+}
+
+module.exports = { createTenantRegistry, isValidSlug, DEFAULT_SLUG };
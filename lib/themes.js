@@ -0,0 +1,61 @@
+// ===== Overlay theme =====
+// Stored per profile (`theme`) and applied by the overlay as CSS variables.
+//   base    panels, chat bubbles, toasts (#rrggbb)
+//   accent  bottom bar and chat card outline; '' follows `base`
+//   text    text colour
+//   font    CSS font-family list; '' keeps the overlay's default
+//   bubble  chat bubble style (see BUBBLE_STYLES)
+//   radius  corner radius of bubbles / cards (px)
+//   fontChat / fontAnnounce / fontXid  font sizes (px)
+// Exported themes are `{ format: THEME_FORMAT, theme }` JSON files.
+
+const THEME_FORMAT = 'streaming-screen-theme@1';
+const BUBBLE_STYLES = ['offset', 'plain', 'flat', 'outline'];
+
+const DEFAULT_THEME = {
+  base: '#141e37',
+  accent: '',
+  text: '#eaeef8',
+  font: '',
+  bubble: 'offset',
+  radius: 14,
+  fontChat: 16,
+  fontAnnounce: 20,
+  fontXid: 18
+};
+
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+function color(v, fallback) {
+  return typeof v === 'string' && COLOR_RE.test(v) ? v.toLowerCase() : fallback;
+}
+
+function int(v, min, max, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.round(Math.min(max, Math.max(min, n))) : fallback;
+}
+
+// Font names only: anything that could end the CSS declaration is dropped.
+function fontFamily(v) {
+  return typeof v === 'string' ? v.replace(/[;{}<>\\\r\n]/g, '').trim().slice(0, 200) : '';
+}
+
+// Accepts a theme, an exported file ({ format, theme }) or a partial object;
+// missing/invalid values fall back to the defaults.
+function normalizeTheme(input) {
+  let t = (input && typeof input === 'object') ? input : {};
+  if (t.format === THEME_FORMAT && t.theme && typeof t.theme === 'object') t = t.theme;
+  return {
+    base: color(t.base, DEFAULT_THEME.base),
+    accent: color(t.accent, ''),
+    text: color(t.text, DEFAULT_THEME.text),
+    font: fontFamily(t.font),
+    bubble: BUBBLE_STYLES.includes(t.bubble) ? t.bubble : DEFAULT_THEME.bubble,
+    radius: int(t.radius, 0, 32, DEFAULT_THEME.radius),
+    fontChat: int(t.fontChat, 10, 40, DEFAULT_THEME.fontChat),
+    fontAnnounce: int(t.fontAnnounce, 12, 48, DEFAULT_THEME.fontAnnounce),
+    fontXid: int(t.fontXid, 10, 40, DEFAULT_THEME.fontXid)
+  };
+}
+
+module.exports = { normalizeTheme, DEFAULT_THEME, BUBBLE_STYLES, THEME_FORMAT };
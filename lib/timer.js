@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+
+// ===== Bottom-bar timer (countdown / stopwatch) =====
+// The server owns the state; overlays only render it. Times are absolute
+// epoch ms so a reloaded overlay (or a replayed SSE event) shows the right
+// value without any ticking on the server. Stored per tenant (timer.json).
+//
+//   countdown  counts down from `durationMs` to 0 (e.g. "Starting in 05:00", subathon)
+//   stopwatch  counts up from 0 (challenge timer)
+//
+// State: { mode, label, endText, visible, running, baseMs, startedAt, durationMs, support }
+//   baseMs     value (remaining or elapsed) at `startedAt`, or the frozen value while paused
+//   support    seconds added per superchat / membership / gift (countdown only, 0 = off)
+
+const MODES = ['countdown', 'stopwatch'];
+const MAX_MS = 100 * 60 * 60 * 1000; // 100h
+
+const DEFAULT_STATE = {
+  mode: 'countdown',
+  label: '',
+  endText: '',
+  visible: false,
+  running: false,
+  baseMs: 5 * 60 * 1000,
+  startedAt: null,
+  durationMs: 5 * 60 * 1000,
+  support: { superchat: 0, membership: 0, gift: 0 }
+};
+
+function clampInt(v, min, max, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.round(Math.min(max, Math.max(min, n))) : fallback;
+}
+
+function cleanText(v, max) {
+  return String(v || '').replace(/[\r\n\t]+/g, ' ').trim().slice(0, max);
+}
+
+function normalizeSupport(input) {
+  const s = (input && typeof input === 'object') ? input : {};
+  return {
+    superchat: clampInt(s.superchat, 0, 3600, 0),
+    membership: clampInt(s.membership, 0, 3600, 0),
+    gift: clampInt(s.gift, 0, 3600, 0)
+  };
+}
+
+// Stored state (also accepts older/partial files).
+function normalizeState(input) {
+  const s = (input && typeof input === 'object') ? input : {};
+  const mode = MODES.includes(s.mode) ? s.mode : DEFAULT_STATE.mode;
+  const durationMs = clampInt(s.durationMs, 1000, MAX_MS, DEFAULT_STATE.durationMs);
+  const running = Boolean(s.running) && Number.isFinite(Number(s.startedAt));
+  return {
+    mode,
+    label: cleanText(s.label, 40),
+    endText: cleanText(s.endText, 60),
+    visible: Boolean(s.visible),
+    running,
+    baseMs: clampInt(s.baseMs, 0, MAX_MS, mode === 'countdown' ? durationMs : 0),
+    startedAt: running ? Number(s.startedAt) : null,
+    durationMs,
+    support: normalizeSupport(s.support)
+  };
+}
+
+// Current remaining (countdown) or elapsed (stopwatch) ms.
+function timerValue(state, now = Date.now()) {
+  if (!state.running) return state.baseMs;
+  const passed = Math.max(0, now - state.startedAt);
+  return state.mode === 'countdown' ? Math.max(0, state.baseMs - passed) : Math.min(MAX_MS, state.baseMs + passed);
+}
+
+function fail(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+function createTimer({ filePath, publish }) {
+  let state = null;
+
+  function load() {
+    if (state) return state;
+    state = normalizeState(DEFAULT_STATE);
+    try {
+      if (fs.existsSync(filePath)) state = normalizeState(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[timer] failed to read state, using defaults', e);
+    }
+    return state;
+  }
+
+  function save() {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2), 'utf8');
+    fs.renameSync(tmp, filePath);
+  }
+
+  function commit(next) {
+    state = next;
+    save();
+    publish({ kind: 'timer', timer: { ...state }, now: Date.now(), ts: new Date().toISOString() });
+    return { ...state };
+  }
+
+  // Folds the running time into baseMs so the value can be changed in place.
+  function settle(now) {
+    const s = load();
+    return { ...s, baseMs: timerValue(s, now), startedAt: s.running ? now : null };
+  }
+
+  function initialMs(s) {
+    return s.mode === 'countdown' ? s.durationMs : 0;
+  }
+
+  // Adds (or with a negative value, removes) time.
+  function add(seconds, now = Date.now()) {
+    const delta = Number(seconds);
+    if (!Number.isFinite(delta) || !delta) throw fail('invalid_seconds');
+    const s = settle(now);
+    return commit({ ...s, baseMs: clampInt(s.baseMs + delta * 1000, 0, MAX_MS, 0) });
+  }
+
+  return {
+    get() {
+      return { ...load() };
+    },
+
+    value(now = Date.now()) {
+      return timerValue(load(), now);
+    },
+
+    // Mode / label / duration / support settings. Changing the mode or the
+    // duration of a stopped timer resets it to the new initial value.
+    configure(input = {}) {
+      const cur = load();
+      if (input.mode !== undefined && !MODES.includes(input.mode)) throw fail('invalid_mode');
+      const next = normalizeState({
+        ...cur,
+        mode: input.mode ?? cur.mode,
+        label: input.label ?? cur.label,
+        endText: input.endText ?? cur.endText,
+        visible: input.visible ?? cur.visible,
+        durationMs: input.durationSec !== undefined ? Number(input.durationSec) * 1000 : cur.durationMs,
+        support: input.support ?? cur.support
+      });
+      if (next.mode !== cur.mode || (!cur.running && next.durationMs !== cur.durationMs)) {
+        Object.assign(next, { running: false, startedAt: null, baseMs: initialMs(next) });
+      }
+      return commit(next);
+    },
+
+    // Starts from the initial value (use resume() to continue a paused timer).
+    start(now = Date.now()) {
+      const s = load();
+      return commit({ ...s, visible: true, running: true, startedAt: now, baseMs: initialMs(s) });
+    },
+
+    pause(now = Date.now()) {
+      const s = settle(now);
+      return commit({ ...s, running: false, startedAt: null });
+    },
+
+    resume(now = Date.now()) {
+      const s = load();
+      if (s.running) return { ...s };
+      return commit({ ...s, running: true, startedAt: now });
+    },
+
+    reset() {
+      const s = load();
+      return commit({ ...s, running: false, startedAt: null, baseMs: initialMs(s) });
+    },
+
+    add,
+
+    // Alert events (kind: 'toast') of new support (countSupport in server.js).
+    // Only a running countdown that has not reached 0 is extended.
+    onSupport(evt, now = Date.now()) {
+      const s = load();
+      if (s.mode !== 'countdown' || !s.running || timerValue(s, now) <= 0) return null;
+      let seconds = s.support[evt?.type] || 0;
+      if (evt?.type === 'gift') seconds *= Math.max(1, Number(evt.count) || 1);
+      if (!seconds) return null;
+      return add(seconds, now);
+    }
+  };
+}
+
+module.exports = { createTimer, normalizeState, timerValue, MODES };
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ===== Encrypted OAuth token store =====
+// Keeps the YouTube OAuth tokens on the server (instead of the cookie session),
+// so the background poller keeps working across restarts and browsers.
+//
+// On-disk format (JSON):
+//   { v: 1, iv, tag, data }  -- AES-256-GCM, all fields base64
+// The plaintext is:
+//   { tokens, needsReauth, reauthReason, updatedAt, refreshedAt }
+
+const FORMAT_VERSION = 1;
+
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(String(secret || ''), 'utf8').digest();
+}
+
+function encrypt(key, obj) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(obj), 'utf8'), cipher.final()]);
+  return {
+    v: FORMAT_VERSION,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt(key, box) {
+  if (!box || box.v !== FORMAT_VERSION) throw new Error('unsupported_format');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(box.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+  const raw = Buffer.concat([decipher.update(Buffer.from(box.data, 'base64')), decipher.final()]);
+  return JSON.parse(raw.toString('utf8'));
+}
+
+function emptyState() {
+  return { tokens: null, needsReauth: false, reauthReason: null, updatedAt: null, refreshedAt: null };
+}
+
+function createTokenStore({ filePath, secret }) {
+  const key = deriveKey(secret);
+  let state = null;
+  let loadError = null;
+
+  function load() {
+    if (state) return state;
+    state = emptyState();
+    try {
+      if (fs.existsSync(filePath)) {
+        const box = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        state = { ...emptyState(), ...decrypt(key, box) };
+      }
+    } catch (e) {
+      // Wrong secret or corrupted file: behave as "not authed" and let the
+      // streamer authorize again (the file is overwritten on next save).
+      loadError = String(e?.message || e);
+    }
+    return state;
+  }
+
+  function save() {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(encrypt(key, state)), { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmp, filePath);
+  }
+
+  return {
+    getTokens() {
+      return load().tokens;
+    },
+
+    // Replace tokens (fresh OAuth consent). Clears any previous reauth flag.
+    setTokens(tokens) {
+      load();
+      state = {
+        ...state,
+        tokens: { ...tokens },
+        needsReauth: false,
+        reauthReason: null,
+        updatedAt: new Date().toISOString()
+      };
+      loadError = null;
+      save();
+    },
+
+    // Merge refreshed tokens (googleapis `tokens` event). Google usually omits
+    // refresh_token on refresh, so the stored one is kept.
+    mergeTokens(partial) {
+      load();
+      if (!state.tokens || !partial) return;
+      const next = { ...state.tokens, ...partial };
+      if (!partial.refresh_token) next.refresh_token = state.tokens.refresh_token;
+      const now = new Date().toISOString();
+      state = { ...state, tokens: next, updatedAt: now, refreshedAt: now };
+      save();
+    },
+
+    // The refresh token was revoked/expired: keep nothing usable, remember why.
+    markRevoked(reason) {
+      load();
+      state = {
+        ...state,
+        tokens: null,
+        needsReauth: true,
+        reauthReason: reason ? String(reason) : 'refresh_token_revoked',
+        updatedAt: new Date().toISOString()
+      };
+      save();
+    },
+
+    clear() {
+      state = emptyState();
+      loadError = null;
+      try { if (fs.existsSync(filePath)) fs.unlinkSync(filePath); } catch (_) { /* ignore */ }
+    },
+
+    // Safe summary for status endpoints (never exposes raw tokens).
+    status() {
+      const s = load();
+      const t = s.tokens;
+      return {
+        stored: Boolean(t),
+        hasRefreshToken: Boolean(t?.refresh_token),
+        expiryDate: typeof t?.expiry_date === 'number' ? new Date(t.expiry_date).toISOString() : null,
+        needsReauth: Boolean(s.needsReauth),
+        reauthReason: s.reauthReason || null,
+        updatedAt: s.updatedAt || null,
+        refreshedAt: s.refreshedAt || null,
+        loadError
+      };
+    }
+  };
+}
+
+module.exports = { createTokenStore };
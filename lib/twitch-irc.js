@@ -0,0 +1,401 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const tls = require('tls');
+
+// ===== Twitch chat adapter (IRC) =====
+// Reads a channel's chat over Twitch's IRC interface, anonymously (justinfan
+// login: read-only, no token needed), and hands normalized messages to the
+// chat pipeline (lib/chat-pipeline.js). One per tenant, stored in twitch.json:
+//   { enabled, channel }
+//
+//   PRIVMSG          chat; with a `bits` tag a cheer (type superchat, counted
+//                    as USD: 1 bit = $0.01, so goals can convert it)
+//   USERNOTICE       sub / resub -> membership, subgift / submysterygift -> gift
+//   CLEARMSG         one message deleted -> retract
+//   CLEARCHAT        user timed out / banned -> retract the author
+//   RECONNECT, PING  server maintenance / keepalive
+//
+// The connection is re-established with exponential backoff; a silent socket
+// (no PING for `idleMs`) counts as dropped. host / port / tls can point at a
+// local stand-in IRC server for testing.
+// https://dev.twitch.tv/docs/chat/irc/
+
+const CHANNEL_RE = /^[a-z0-9_]{3,25}$/;
+const EMOTE_URL = (id) => `https://static-cdn.jtvnw.net/emoticons/v2/${id}/default/dark/1.0`;
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 60 * 1000;
+
+function fail(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+// IRCv3 tag values escape ; SPACE \ CR LF.
+function unescapeTag(v) {
+  return String(v).replace(/\\(.)/g, (_, c) => ({ ':': ';', s: ' ', '\\': '\\', r: '\r', n: '\n' })[c] ?? c);
+}
+
+// "@tags :prefix COMMAND param param :trailing" -> { tags, prefix, command, params }
+function parseIrcLine(line) {
+  let rest = String(line || '');
+  const msg = { tags: {}, prefix: '', command: '', params: [] };
+  if (rest.startsWith('@')) {
+    const sp = rest.indexOf(' ');
+    for (const part of rest.slice(1, sp < 0 ? undefined : sp).split(';')) {
+      const eq = part.indexOf('=');
+      if (eq < 0) msg.tags[part] = '';
+      else msg.tags[part.slice(0, eq)] = unescapeTag(part.slice(eq + 1));
+    }
+    rest = sp < 0 ? '' : rest.slice(sp + 1);
+  }
+  if (rest.startsWith(':')) {
+    const sp = rest.indexOf(' ');
+    msg.prefix = rest.slice(1, sp < 0 ? undefined : sp);
+    rest = sp < 0 ? '' : rest.slice(sp + 1);
+  }
+  const trailingAt = rest.indexOf(' :');
+  const head = trailingAt < 0 ? rest : rest.slice(0, trailingAt);
+  const words = head.split(' ').filter(Boolean);
+  msg.command = (words.shift() || '').toUpperCase();
+  msg.params = words;
+  if (trailingAt >= 0) msg.params.push(rest.slice(trailingAt + 2));
+  return msg;
+}
+
+// "broadcaster/1,subscriber/12" -> { broadcaster: '1', subscriber: '12' }
+function parseBadges(v) {
+  const out = {};
+  for (const b of String(v || '').split(',')) {
+    const [name, version] = b.split('/');
+    if (name) out[name] = version || '';
+  }
+  return out;
+}
+
+// "25:0-4,12-16/1902:6-10" -> [{ name, url }] (positions are code points of `text`)
+function parseEmotes(v, text) {
+  if (!v) return [];
+  const chars = Array.from(text);
+  const byName = new Map();
+  for (const group of String(v).split('/')) {
+    const [id, ranges] = group.split(':');
+    if (!id || !ranges || !/^[A-Za-z0-9_]+$/.test(id)) continue;
+    const [start, end] = ranges.split(',')[0].split('-').map(Number);
+    if (!(start >= 0 && end >= start && end < chars.length)) continue;
+    const name = chars.slice(start, end + 1).join('');
+    if (name && !/\s/.test(name) && !byName.has(name)) byName.set(name, { name, url: EMOTE_URL(id) });
+  }
+  return [...byName.values()];
+}
+
+// Same scale as YouTube's superchat tiers (1-7).
+function bitsTier(bits) {
+  const steps = [1, 100, 500, 1000, 5000, 10000, 50000];
+  let tier = 1;
+  steps.forEach((min, i) => { if (bits >= min) tier = i + 1; });
+  return tier;
+}
+
+function author(msg) {
+  const t = msg.tags;
+  const badges = parseBadges(t.badges);
+  const login = t.login || msg.prefix.split('!')[0] || '';
+  return {
+    name: t['display-name'] || login || 'Someone',
+    channelId: t['user-id'] ? `tw:${t['user-id']}` : null,
+    channelUrl: CHANNEL_RE.test(login) ? `https://www.twitch.tv/${login}` : null,
+    avatarUrl: null,
+    isOwner: 'broadcaster' in badges,
+    isMod: 'moderator' in badges || t.mod === '1',
+    isMember: 'subscriber' in badges || 'founder' in badges || t.subscriber === '1',
+    isVerified: 'partner' in badges
+  };
+}
+
+function subPlanName(t) {
+  const plan = t['msg-param-sub-plan'];
+  if (plan === 'Prime') return 'Prime';
+  const tier = { 1000: 'Tier 1', 2000: 'Tier 2', 3000: 'Tier 3' }[plan];
+  return tier || t['msg-param-sub-plan-name'] || null;
+}
+
+// PRIVMSG / USERNOTICE -> normalized chat message, or null when it is not shown.
+function toChatMessage(msg) {
+  const t = msg.tags;
+  let text = String(msg.params[1] || '');
+  // "/me" messages: \x01ACTION text\x01
+  const action = /^\x01ACTION (.*)\x01$/.exec(text);
+  if (action) text = action[1];
+  text = text.replace(/[\r\n\t]+/g, ' ').trim();
+  const base = {
+    platform: 'twitch',
+    id: t.id || `tw-${t['tmi-sent-ts'] || Date.now()}-${t['user-id'] || ''}`,
+    publishedAt: Number(t['tmi-sent-ts']) ? new Date(Number(t['tmi-sent-ts'])).toISOString() : new Date().toISOString(),
+    ...author(msg),
+    text,
+    emotes: parseEmotes(t.emotes, text),
+    amount: null,
+    amountMicros: null,
+    currency: null,
+    tier: null,
+    level: null,
+    giftCount: null,
+    giftMessage: null
+  };
+
+  if (msg.command === 'PRIVMSG') {
+    const bits = Number(t.bits) || 0;
+    if (bits > 0) {
+      return { ...base, type: 'superchat', amount: `${bits} Bits`, amountMicros: bits * 10000, currency: 'USD', tier: bitsTier(bits) };
+    }
+    return text ? { ...base, type: 'chat' } : null;
+  }
+
+  // USERNOTICE
+  const kind = t['msg-id'];
+  if (kind === 'sub' || kind === 'resub') {
+    return { ...base, type: 'membership', level: subPlanName(t) };
+  }
+  if (kind === 'submysterygift') {
+    return { ...base, type: 'gift', giftCount: Number(t['msg-param-mass-gift-count']) || 1, giftMessage: t['system-msg'] || null };
+  }
+  // Single gifts that belong to a mystery gift were already counted above.
+  if (kind === 'subgift' && !t['msg-param-community-gift-id']) {
+    return { ...base, type: 'gift', giftCount: 1, giftMessage: t['system-msg'] || null };
+  }
+  return null;
+}
+
+function createTwitchChat({ filePath, pipeline, broadcastEvent, config = {} }) {
+  const host = config.host || 'irc.chat.twitch.tv';
+  const useTls = config.tls !== false;
+  const port = Number(config.port) || (useTls ? 6697 : 6667);
+  const idleMs = Number(config.idleMs) || 6 * 60 * 1000;
+
+  let settings = null;
+  let socket = null;
+  let retryTimer = null;
+  let retryMs = 0;
+  let session = null; // { broadcast } for history / stats, kept across reconnects
+  const st = { connected: false, joined: false, connectedAt: null, reconnects: 0, messages: 0, lastError: null };
+
+  function load() {
+    if (settings) return settings;
+    settings = { enabled: false, channel: '' };
+    try {
+      if (fs.existsSync(filePath)) {
+        const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        settings = {
+          enabled: Boolean(json?.enabled),
+          channel: CHANNEL_RE.test(json?.channel) ? json.channel : ''
+        };
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[twitch] failed to read settings', e);
+    }
+    return settings;
+  }
+
+  function save() {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(settings, null, 2), 'utf8');
+    fs.renameSync(tmp, filePath);
+  }
+
+  function status(level, message) {
+    broadcastEvent({ kind: 'status', level, message: `Twitch: ${message}` });
+  }
+
+  function send(line) {
+    try { socket?.write(`${line}\r\n`); } catch (_) { /* ignore */ }
+  }
+
+  function handleLine(line) {
+    if (!line) return;
+    const msg = parseIrcLine(line);
+    switch (msg.command) {
+      case 'PING':
+        send(`PONG :${msg.params[0] || 'tmi.twitch.tv'}`);
+        break;
+      case '001':
+        st.connected = true;
+        st.connectedAt = new Date().toISOString();
+        break;
+      case 'JOIN':
+        if (/^justinfan/.test(msg.prefix)) {
+          st.joined = true;
+          retryMs = 0;
+          status('info', `#${settings.channel} に接続しました`);
+        }
+        break;
+      case 'RECONNECT':
+        status('warn', 'サーバから再接続を要求されました');
+        socket?.destroy();
+        break;
+      case 'NOTICE':
+        st.lastError = msg.params[1] || null;
+        status('warn', msg.params[1] || 'NOTICE');
+        break;
+      case 'CLEARMSG':
+        pipeline.retract({ ids: msg.tags['target-msg-id'] ? [msg.tags['target-msg-id']] : [], reason: 'deleted' });
+        break;
+      case 'CLEARCHAT':
+        // Without a target the whole chat was cleared: nothing to map that to.
+        if (msg.tags['target-user-id']) pipeline.retract({ channelId: `tw:${msg.tags['target-user-id']}`, reason: 'banned' });
+        break;
+      case 'PRIVMSG':
+      case 'USERNOTICE': {
+        const m = toChatMessage(msg);
+        if (m) {
+          st.messages += 1;
+          pipeline.ingest(session?.broadcast || null, [m]);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  function scheduleReconnect() {
+    if (retryTimer || !load().enabled) return;
+    retryMs = retryMs ? Math.min(retryMs * 2, RETRY_MAX_MS) : RETRY_MIN_MS;
+    st.reconnects += 1;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      connect();
+    }, retryMs);
+    retryTimer.unref?.();
+  }
+
+  function disconnect() {
+    if (retryTimer) clearTimeout(retryTimer);
+    retryTimer = null;
+    if (socket) {
+      const s = socket;
+      socket = null;
+      s.removeAllListeners();
+      s.on('error', () => {});
+      s.destroy();
+    }
+    st.connected = false;
+    st.joined = false;
+  }
+
+  function connect() {
+    disconnect();
+    const s = load();
+    if (!s.enabled || !s.channel) return;
+    const opts = { host, port };
+    const sock = useTls ? tls.connect({ ...opts, servername: host }) : net.connect(opts);
+    socket = sock;
+    let buf = '';
+    sock.setEncoding('utf8');
+    sock.setTimeout(idleMs);
+    sock.on(useTls ? 'secureConnect' : 'connect', () => {
+      send('CAP REQ :twitch.tv/tags twitch.tv/commands');
+      send(`NICK justinfan${Math.floor(10000 + Math.random() * 89999)}`);
+      send(`JOIN #${s.channel}`);
+    });
+    sock.on('data', (chunk) => {
+      buf += chunk;
+      const lines = buf.split('\r\n');
+      buf = lines.pop();
+      // Guard against a peer that never sends a line break.
+      if (buf.length > 64 * 1024) buf = '';
+      for (const line of lines) {
+        try { handleLine(line); } catch (e) {
+          // eslint-disable-next-line no-console
+          console.error('[twitch] failed to handle line', e);
+        }
+      }
+    });
+    sock.on('timeout', () => {
+      st.lastError = 'timeout';
+      sock.destroy();
+    });
+    sock.on('error', (e) => {
+      st.lastError = e?.code || e?.message || String(e);
+    });
+    sock.on('close', () => {
+      if (socket !== sock) return;
+      socket = null;
+      const wasJoined = st.joined;
+      st.connected = false;
+      st.joined = false;
+      if (wasJoined) status('warn', '切断されました（再接続します）');
+      scheduleReconnect();
+    });
+  }
+
+  function startSession() {
+    const s = load();
+    // One history / report entry per channel and day (UTC, fixed when fetching starts).
+    const day = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    session = { broadcast: { id: `twitch-${s.channel}-${day}`, title: `Twitch #${s.channel}`, source: 'twitch' } };
+  }
+
+  function state() {
+    const s = load();
+    return {
+      enabled: s.enabled,
+      channel: s.channel,
+      connected: st.connected,
+      joined: st.joined,
+      connectedAt: st.connectedAt,
+      reconnects: st.reconnects,
+      messages: st.messages,
+      lastError: st.lastError,
+      broadcast: session?.broadcast || null,
+      server: `${host}:${port}${useTls ? ' (TLS)' : ''}`
+    };
+  }
+
+  // { enabled, channel }
+  function configure(input = {}) {
+    const cur = load();
+    let channel = cur.channel;
+    if (input.channel !== undefined) {
+      channel = String(input.channel || '').trim().toLowerCase().replace(/^#/, '');
+      if (channel && !CHANNEL_RE.test(channel)) throw fail('invalid_channel');
+    }
+    const enabled = input.enabled !== undefined ? Boolean(input.enabled) : cur.enabled;
+    if (enabled && !channel) throw fail('invalid_channel');
+    const changed = enabled !== cur.enabled || channel !== cur.channel;
+    settings = { enabled, channel };
+    save();
+    if (changed) {
+      disconnect();
+      retryMs = 0;
+      if (enabled) {
+        startSession();
+        connect();
+        status('info', `#${channel} に接続しています…`);
+      } else {
+        session = null;
+        status('info', 'OFFにしました');
+      }
+    }
+    return state();
+  }
+
+  return {
+    platform: 'twitch',
+
+    start() {
+      if (load().enabled && settings.channel) {
+        startSession();
+        connect();
+      }
+    },
+
+    shutdown: disconnect,
+    configure,
+    state
+  };
+}
+
+module.exports = { createTwitchChat, parseIrcLine, parseBadges, parseEmotes, toChatMessage };
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeMessage, toAlert } = require('./chat-pipeline');
+const { DEFAULT_RATES } = require('./goals');
+
+// ===== Inbound alert webhooks =====
+// Donation / alert services post to /api/hooks/<provider>. A verified delivery
+// is mapped to a normalized support message (lib/chat-pipeline.js) and
+// published as the same alert (toast) as a YouTube superchat / membership /
+// gift, so the goals and the timer count it too. Stored per tenant (hooks.json):
+//   { providers: { <provider>: { enabled, secret, updatedAt } },
+//     seen: { <deliveryId>: receivedAt },   // replay protection (24h)
+//     log: [received hooks, newest first] }
+//
+// Providers (payloads):
+//   generic         { id, type: superchat|membership|gift, name, amount, currency, message, level, count }
+//   kofi            Ko-fi webhook (form field `data` = JSON: type Donation|Subscription|..., from_name, amount, ...)
+//   streamelements  StreamElements event: { _id, type: tip|cheer|subscriber|communityGiftPurchase,
+//                   data: { username, displayName, amount, currency, message, tier, gifted, sender } }
+//
+// Verification: `X-Signature: sha256=<hex HMAC-SHA256(secret, "<X-Timestamp>.<raw body>")>`
+// with X-Timestamp in unix seconds, at most 5 minutes off. Ko-fi cannot sign
+// its requests, so for `kofi` the payload's `verification_token` (= the
+// secret) is accepted instead. Each delivery is accepted only once, by the
+// id inside its payload (covered by the signature / token, so a retry with a
+// new timestamp is still a duplicate), else by its signature. Headers like
+// X-Webhook-Id are not signed and are not used.
+
+const PROVIDERS = ['generic', 'kofi', 'streamelements'];
+const MAX_SKEW_MS = 5 * 60 * 1000;
+const SEEN_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_SEEN = 2000;
+const MAX_LOG = 50;
+const SECRET_RE = /^[\x21-\x7e]{16,200}$/;
+// JPY thresholds of YouTube's superchat tiers (1-7).
+const TIER_STEPS_JPY = [0, 200, 500, 1000, 2000, 5000, 10000];
+
+function fail(code, status = 400) {
+  return Object.assign(new Error(code), { code, status });
+}
+
+function cleanText(v, max) {
+  return String(v ?? '').replace(/[\r\n\t]+/g, ' ').trim().slice(0, max);
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function sign(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest('hex');
+}
+
+function formatAmount(amount, currency) {
+  try {
+    return new Intl.NumberFormat('ja-JP', { style: 'currency', currency }).format(amount);
+  } catch (_) {
+    return `${amount} ${currency}`;
+  }
+}
+
+function tierFor(amount, currency) {
+  const jpy = currency === 'JPY' ? amount : amount * (DEFAULT_RATES[currency] || 0);
+  let tier = 1;
+  TIER_STEPS_JPY.forEach((min, i) => { if (jpy >= min) tier = i + 1; });
+  return tier;
+}
+
+// Money fields shared by the providers: amount is a number in `currency` units.
+function money(amount, currency) {
+  const n = Number(amount);
+  const cur = String(currency || '').toUpperCase();
+  if (!(n > 0) || !/^[A-Z]{3}$/.test(cur)) throw fail('invalid_amount');
+  return { amount: formatAmount(n, cur), amountMicros: Math.round(n * 1e6), currency: cur, tier: tierFor(n, cur) };
+}
+
+// ---- Payload mapping (provider payload -> message input for normalizeMessage) ----
+const MAPPERS = {
+  generic(p) {
+    const type = ['superchat', 'membership', 'gift'].includes(p.type) ? p.type : 'superchat';
+    const base = { id: p.id, type, name: p.name, text: p.message };
+    if (type === 'superchat') return { ...base, ...money(p.amount, p.currency), ...(p.tier ? { tier: p.tier } : {}) };
+    if (type === 'membership') return { ...base, level: p.level };
+    return { ...base, giftCount: Number(p.count) || 1, giftMessage: p.message };
+  },
+
+  // https://ko-fi.com/manage/webhooks
+  kofi(p) {
+    const hidden = p.is_public === false;
+    const base = { id: p.message_id || p.kofi_transaction_id, name: hidden ? '匿名' : p.from_name, text: hidden ? '' : p.message };
+    if (p.type === 'Subscription') return { ...base, type: 'membership', level: p.tier_name || 'Ko-fi' };
+    return { ...base, type: 'superchat', ...money(p.amount, p.currency) };
+  },
+
+  streamelements(p) {
+    const d = p.data || {};
+    const base = { id: p._id || d.tipId, name: d.displayName || d.username, text: d.message };
+    if (p.type === 'tip') return { ...base, type: 'superchat', ...money(d.amount, d.currency) };
+    if (p.type === 'cheer') {
+      const bits = Number(d.amount) || 0;
+      return { ...base, type: 'superchat', ...money(bits / 100, 'USD'), amount: `${bits} Bits` };
+    }
+    if (p.type === 'communityGiftPurchase') {
+      return { ...base, type: 'gift', giftCount: Number(d.amount) || 1, giftMessage: `${Number(d.amount) || 1} サブをギフト` };
+    }
+    if (p.type === 'subscriber') {
+      if (d.gifted) return { ...base, name: d.sender || base.name, type: 'gift', giftCount: 1, giftMessage: `${base.name} にサブをギフト` };
+      return { ...base, type: 'membership', level: d.tier === 'prime' ? 'Prime' : `Tier ${String(d.tier || '1000').slice(0, 1)}` };
+    }
+    throw fail('unsupported_event');
+  }
+};
+
+// Raw body -> payload object (JSON, or Ko-fi's form-encoded `data` field).
+function parsePayload(rawBody, contentType) {
+  const text = rawBody.toString('utf8');
+  try {
+    if (/application\/x-www-form-urlencoded/i.test(contentType || '')) {
+      return JSON.parse(new URLSearchParams(text).get('data') || '');
+    }
+    const json = JSON.parse(text);
+    if (json && typeof json === 'object') return json;
+  } catch (_) { /* ignore */ }
+  throw fail('invalid_payload');
+}
+
+function createWebhooks({ filePath, publish }) {
+  let state = null;
+
+  function load() {
+    if (state) return state;
+    state = { providers: {}, seen: {}, log: [] };
+    try {
+      if (fs.existsSync(filePath)) {
+        const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        for (const p of PROVIDERS) {
+          const c = json?.providers?.[p];
+          if (c && typeof c.secret === 'string') {
+            state.providers[p] = { enabled: Boolean(c.enabled), secret: c.secret, updatedAt: c.updatedAt || null };
+          }
+        }
+        if (json?.seen && typeof json.seen === 'object') state.seen = json.seen;
+        if (Array.isArray(json?.log)) state.log = json.log.slice(0, MAX_LOG);
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[hooks] failed to read hooks, starting empty', e);
+    }
+    return state;
+  }
+
+  function save() {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2), 'utf8');
+    fs.renameSync(tmp, filePath);
+  }
+
+  function providerView(name) {
+    const c = load().providers[name];
+    return {
+      provider: name,
+      enabled: Boolean(c?.enabled),
+      hasSecret: Boolean(c?.secret),
+      secretHint: c?.secret ? `…${c.secret.slice(-4)}` : null,
+      updatedAt: c?.updatedAt || null
+    };
+  }
+
+  function addLog(entry) {
+    const s = load();
+    s.log = [{ at: new Date().toISOString(), ...entry }, ...s.log].slice(0, MAX_LOG);
+  }
+
+  // Returns false when the delivery id was already accepted.
+  function remember(deliveryId) {
+    const s = load();
+    const now = Date.now();
+    for (const [id, at] of Object.entries(s.seen)) {
+      if (now - Date.parse(at) > SEEN_TTL_MS) delete s.seen[id];
+    }
+    if (s.seen[deliveryId]) return false;
+    const ids = Object.keys(s.seen);
+    if (ids.length >= MAX_SEEN) delete s.seen[ids[0]];
+    s.seen[deliveryId] = new Date(now).toISOString();
+    return true;
+  }
+
+  function verify(name, secret, { headers, rawBody }, payload) {
+    const sig = String(headers['x-signature'] || '');
+    if (!sig && name === 'kofi') {
+      if (!safeEqual(payload.verification_token || '', secret)) throw fail('bad_signature', 401);
+      return null;
+    }
+    const m = /^sha256=([0-9a-f]{64})$/i.exec(sig);
+    if (!m) throw fail('bad_signature', 401);
+    const ts = String(headers['x-timestamp'] || '');
+    if (!/^\d{9,11}$/.test(ts) || Math.abs(Date.now() - Number(ts) * 1000) > MAX_SKEW_MS) throw fail('stale_timestamp', 401);
+    if (!safeEqual(m[1].toLowerCase(), sign(secret, ts, rawBody))) throw fail('bad_signature', 401);
+    return m[1].toLowerCase();
+  }
+
+  return {
+    state() {
+      return { providers: PROVIDERS.map(providerView), log: load().log.slice() };
+    },
+
+    // { enabled, secret, rotate }. The secret is returned only when it was
+    // set or generated by this call.
+    configure(name, input = {}) {
+      if (!PROVIDERS.includes(name)) throw fail('unknown_provider');
+      const s = load();
+      const prev = s.providers[name] || { enabled: false, secret: '' };
+      let secret = prev.secret;
+      let issued = null;
+      if (input.rotate) {
+        secret = crypto.randomBytes(24).toString('hex');
+        issued = secret;
+      } else if (input.secret !== undefined && input.secret !== '') {
+        secret = String(input.secret).trim();
+        if (!SECRET_RE.test(secret)) throw fail('invalid_secret');
+        issued = secret;
+      }
+      const enabled = input.enabled === undefined ? prev.enabled : Boolean(input.enabled);
+      if (enabled && !secret) throw fail('secret_required');
+      s.providers[name] = { enabled, secret, updatedAt: new Date().toISOString() };
+      save();
+      return { ...providerView(name), ...(issued ? { secret: issued } : {}) };
+    },
+
+    clearLog() {
+      load().log = [];
+      save();
+    },
+
+    // req: { headers (lower-case), rawBody: Buffer, contentType }.
+    // Returns { duplicate, alert }; throws with `code` / `status` when rejected.
+    receive(name, req) {
+      const c = PROVIDERS.includes(name) ? load().providers[name] : null;
+      if (!c?.enabled || !c.secret) throw fail('unknown_hook', 404);
+      let delivery = null;
+      try {
+        const payload = parsePayload(req.rawBody, req.contentType);
+        const signature = verify(name, c.secret, req, payload);
+        const input = MAPPERS[name](payload);
+        const base = cleanText(input.id || signature || '', 120);
+        if (!base) throw fail('missing_id');
+        delivery = `${name}:${base}`;
+        const m = normalizeMessage({ ...input, id: `hook-${name}-${base}` }, { platform: 'custom' });
+        if (!remember(delivery)) {
+          addLog({ provider: name, delivery, ok: true, duplicate: true });
+          save();
+          return { duplicate: true, alert: null };
+        }
+        const alert = { ...toAlert(m, m.text), provider: name };
+        publish(alert);
+        addLog({ provider: name, delivery, ok: true, type: m.type, name: m.name, amount: m.amount || m.level || m.giftCount || null });
+        save();
+        return { duplicate: false, alert };
+      } catch (e) {
+        // Rejected deliveries are logged in memory only (written with the
+        // next accepted one), so junk requests do not cause disk writes.
+        addLog({ provider: name, delivery, ok: false, error: e?.code || 'error' });
+        throw e;
+      }
+    }
+  };
+}
+
+module.exports = { createWebhooks, sign, PROVIDERS };
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+
+// ===== Minimal WebSocket server side (RFC 6455) =====
+// Just enough for the automation API: text messages, ping/pong and close.
+// No extensions are negotiated (no permessage-deflate) and binary messages are
+// refused. Client frames must be masked; a message (all fragments) is capped
+// at `maxBytes`. A peer that misses a ping for `pingMs` is dropped.
+// https://www.rfc-editor.org/rfc/rfc6455
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OP = { CONT: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+
+function isWebSocketUpgrade(req) {
+  return String(req.headers.upgrade || '').toLowerCase() === 'websocket';
+}
+
+// Answers an upgrade request with a plain HTTP error and drops the socket.
+function rejectUpgrade(socket, status, error) {
+  const body = JSON.stringify({ ok: false, error });
+  const reason = { 400: 'Bad Request', 401: 'Unauthorized', 404: 'Not Found', 500: 'Internal Server Error' }[status] || 'Error';
+  try {
+    socket.end(`HTTP/1.1 ${status} ${reason}\r\nContent-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+  } catch (_) { /* ignore */ }
+}
+
+function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Completes the handshake for an http server 'upgrade' event. Returns
+// { send(text), close(code, reason) }, or null when the request was not a
+// valid WebSocket handshake (already answered with 400).
+function acceptWebSocket(req, socket, head, { onMessage, onClose, maxBytes = 64 * 1024, pingMs = 30000 } = {}) {
+  const key = String(req.headers['sec-websocket-key'] || '');
+  if (!isWebSocketUpgrade(req) || req.headers['sec-websocket-version'] !== '13' || !/^[A-Za-z0-9+/]{22}==$/.test(key)) {
+    rejectUpgrade(socket, 400, 'bad_handshake');
+    return null;
+  }
+  const accept = crypto.createHash('sha1').update(key + GUID).digest('base64');
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  socket.setNoDelay(true);
+
+  let buf = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentBytes = 0;
+  let closed = false;
+  let alive = true;
+
+  function write(opcode, payload) {
+    if (closed || socket.destroyed) return;
+    try { socket.write(encodeFrame(opcode, payload)); } catch (_) { /* ignore */ }
+  }
+
+  function close(code = 1000, reason = '') {
+    if (closed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    write(OP.CLOSE, payload);
+    closed = true;
+    socket.end();
+  }
+
+  function handleFrame(fin, opcode, payload) {
+    if (opcode === OP.PING) return write(OP.PONG, payload);
+    if (opcode === OP.PONG) {
+      alive = true;
+      return null;
+    }
+    if (opcode === OP.CLOSE) return close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+    if (opcode === OP.BINARY) return close(1003, 'text only');
+    if (opcode !== OP.TEXT && opcode !== OP.CONT) return close(1002, 'bad opcode');
+    if ((opcode === OP.CONT) !== (fragments.length > 0)) return close(1002, 'bad fragment');
+    fragments.push(payload);
+    fragmentBytes += payload.length;
+    if (fragmentBytes > maxBytes) return close(1009, 'too big');
+    if (!fin) return null;
+    const text = Buffer.concat(fragments).toString('utf8');
+    fragments = [];
+    fragmentBytes = 0;
+    try { onMessage?.(text); } catch (_) { /* ignore */ }
+    return null;
+  }
+
+  function onData(chunk) {
+    buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+    while (!closed && buf.length >= 2) {
+      const fin = Boolean(buf[0] & 0x80);
+      const opcode = buf[0] & 0x0f;
+      const masked = Boolean(buf[1] & 0x80);
+      let len = buf[1] & 0x7f;
+      let offset = 2;
+      if (len === 126) {
+        if (buf.length < 4) return;
+        len = buf.readUInt16BE(2);
+        offset = 4;
+      } else if (len === 127) {
+        if (buf.length < 10) return;
+        const big = buf.readBigUInt64BE(2);
+        if (big > BigInt(maxBytes)) return close(1009, 'too big');
+        len = Number(big);
+        offset = 10;
+      }
+      if (!masked) return close(1002, 'unmasked frame');
+      if (len > maxBytes) return close(1009, 'too big');
+      if (buf.length < offset + 4 + len) return;
+      const mask = buf.subarray(offset, offset + 4);
+      const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      buf = buf.subarray(offset + 4 + len);
+      handleFrame(fin, opcode, payload);
+    }
+  }
+
+  const heartbeat = setInterval(() => {
+    if (!alive) {
+      socket.destroy();
+      return;
+    }
+    alive = false;
+    write(OP.PING, Buffer.alloc(0));
+  }, pingMs);
+  heartbeat.unref?.();
+
+  socket.on('data', onData);
+  socket.on('error', () => {});
+  socket.on('close', () => {
+    clearInterval(heartbeat);
+    closed = true;
+    try { onClose?.(); } catch (_) { /* ignore */ }
+  });
+  // Bytes that arrived with the upgrade request; handled after the caller
+  // has the connection object.
+  if (head?.length) process.nextTick(() => onData(Buffer.from(head)));
+
+  return {
+    send(text) {
+      write(OP.TEXT, Buffer.from(String(text), 'utf8'));
+    },
+    close
+  };
+}
+
+module.exports = { acceptWebSocket, rejectUpgrade, isWebSocketUpgrade };
@@ -0,0 +1,745 @@
+const path = require('path');
+const { google } = require('googleapis');
+const { createSimulatorApi } = require('./chat-simulator');
+const { createRecordingApi, createReplayApi, recordingFileName, resolveRecording } = require('./chat-replay');
+
+// ===== YouTube live chat poller (one per tenant) =====
+// Owns everything needed to keep polling liveChatMessages in the background:
+// the OAuth2 client bound to the tenant's token store, token refresh timer,
+// live chat detection, quota backoff and the poll loop itself.
+// Real API calls are counted against the deployment's daily quota budget
+// (lib/quota-budget.js), which also stretches the poll interval.
+// It is the YouTube adapter of the chat pipeline (lib/chat-pipeline.js):
+// liveChatMessages are normalized with toChatMessage and handed to
+// `pipeline.ingest`; status events go to `broadcastEvent`. When the live chat
+// ends, `onLiveEnded({ reason, broadcast })` is called (the fetching switch in
+// lib/youtube-schedule.js turns an automatic ON back off).
+//
+// Chat source modes (same pipeline, different data):
+//   youtube   : real API with the tenant's OAuth tokens (optionally recorded to JSONL)
+//   simulator : generated items, no tokens / quota needed
+//   replay    : a previous recording played back at real or accelerated speed
+const SOURCE_MODES = ['youtube', 'simulator', 'replay'];
+
+function nowIso() { return new Date().toISOString(); }
+
+function isQuotaExceededError(e) {
+  const msg = String(e?.message || '').toLowerCase();
+  const reason = String(e?.errors?.[0]?.reason || e?.response?.data?.error?.errors?.[0]?.reason || '').toLowerCase();
+  return msg.includes('exceeded your quota') || reason === 'quotaexceeded' || msg.includes('quotaexceeded');
+}
+
+function isChatNoLongerLiveError(e) {
+  const msg = String(e?.message || '').toLowerCase();
+  const reason = String(e?.errors?.[0]?.reason || e?.response?.data?.error?.errors?.[0]?.reason || '').toLowerCase();
+  return msg.includes('live chat is no longer live') || reason === 'livechatnotfound' || reason === 'livechatclosed';
+}
+
+// Refresh token revoked / expired (user removed access, password change, 7-day
+// testing-mode expiry...). Only a new OAuth consent can fix this.
+function isInvalidGrantError(e) {
+  const err = String(e?.response?.data?.error || '').toLowerCase();
+  const msg = String(e?.message || '').toLowerCase();
+  return err === 'invalid_grant' || msg.includes('invalid_grant');
+}
+
+function summarizeGoogleApiError(e) {
+  try {
+    const status = e?.code || e?.response?.status;
+    const reason = e?.errors?.[0]?.reason || e?.response?.data?.error?.errors?.[0]?.reason;
+    const message = e?.message || e?.response?.data?.error?.message;
+    return {
+      status: status ?? null,
+      reason: reason ? String(reason) : null,
+      message: message ? String(message) : String(e)
+    };
+  } catch (_) {
+    return { status: null, reason: null, message: String(e) };
+  }
+}
+
+async function getAuthedChannel(youtube) {
+  const resp = await youtube.channels.list({
+    part: ['snippet'],
+    mine: true,
+    maxResults: 5
+  });
+  const items = resp.data.items || [];
+  const ch = items[0];
+  return ch ? { id: ch.id, title: ch?.snippet?.title || '' } : null;
+}
+
+function classifySpecialEvent(item) {
+  // liveChatMessage resource fields:
+  // https://developers.google.com/youtube/v3/live/docs/liveChatMessage
+  const details = item?.snippet?.superChatDetails;
+  const member = item?.snippet?.newSponsorDetails;
+
+  if (details) {
+    return {
+      type: 'superchat',
+      amount: details.amountDisplayString,
+      tier: details.tier
+    };
+  }
+
+  if (member) {
+    // Membership (new/upgrade). Gift events are NOT reliably exposed via this endpoint.
+    return {
+      type: 'membership',
+      level: member.memberLevelName || member.membershipLevelName
+    };
+  }
+
+  // Best-effort: infer membership gift events from system messages.
+  // This is NOT guaranteed and can break with locale/format changes.
+  // We intentionally keep patterns broad but not too broad.
+  const msg = String(item?.snippet?.displayMessage || '').trim();
+  if (msg) {
+    const patterns = [
+      // English (examples vary)
+      /gift(ed)?\s+\d+\s+memberships?/i,
+      /gift(ed)?\s+a\s+membership/i,
+      /gave\s+\d+\s+memberships?/i,
+      /sent\s+\d+\s+membership\s+gifts?/i,
+      // Japanese (examples vary)
+      /メンバーシップ\s*ギフト/i,
+      /メンバーシップを\s*\d+\s*件\s*ギフト/i,
+      /\d+\s*件のメンバーシップ(を)?\s*ギフト/i,
+      /メンバーシップをギフトしました/i,
+      /メンバーシップ\s*\d+\s*個\s*ギフト/i,
+    ];
+    if (patterns.some((re) => re.test(msg))) {
+      return { type: 'gift', message: msg };
+    }
+  }
+
+  return null;
+}
+
+// messageDeletedEvent / userBannedEvent -> what the overlay should remove.
+// https://developers.google.com/youtube/v3/live/docs/liveChatMessages#snippet.type
+function classifyRetraction(item) {
+  const type = item?.snippet?.type;
+  if (type === 'messageDeletedEvent') {
+    const deletedId = item?.snippet?.messageDeletedDetails?.deletedMessageId;
+    return deletedId ? { ids: [deletedId], reason: 'deleted' } : null;
+  }
+  if (type === 'userBannedEvent') {
+    const channelId = item?.snippet?.userBannedDetails?.bannedUserDetails?.channelId;
+    return channelId ? { channelId, reason: 'banned' } : null;
+  }
+  return null;
+}
+
+// liveChatMessage -> normalized chat message (see lib/chat-pipeline.js).
+function toChatMessage(item) {
+  const author = item?.authorDetails || {};
+  const special = classifySpecialEvent(item);
+  const sc = item?.snippet?.superChatDetails;
+  const text = String(item?.snippet?.displayMessage || '').trim();
+  const isSuperchat = special?.type === 'superchat';
+  return {
+    platform: 'youtube',
+    id: item.id,
+    type: special ? special.type : 'chat',
+    publishedAt: item?.snippet?.publishedAt || null,
+    name: author.displayName || 'Someone',
+    channelId: author.channelId || null,
+    channelUrl: author.channelUrl || null,
+    avatarUrl: author.profileImageUrl || null,
+    isOwner: Boolean(author.isChatOwner),
+    isMod: Boolean(author.isChatModerator),
+    isMember: Boolean(author.isChatSponsor),
+    isVerified: Boolean(author.isVerified),
+    text: isSuperchat ? String(sc?.userComment ?? text).trim() : text,
+    emotes: [],
+    amount: isSuperchat ? special.amount || '' : null,
+    amountMicros: sc?.amountMicros ? Number(sc.amountMicros) : null,
+    currency: sc?.currency || null,
+    tier: isSuperchat ? Number(special.tier) || 1 : null,
+    level: special?.level || null,
+    giftCount: item?.snippet?.membershipGiftingDetails?.giftMembershipsCount ?? null,
+    // Best-effort inferred gift message
+    giftMessage: special?.type === 'gift' ? special.message : null
+  };
+}
+
+function createYouTubePoller({ tenant, tokenStore, pipeline, streamStats, polls, quota, createOAuthClient, oauthConfigured, broadcastEvent, onLiveEnded, config }) {
+  const pollMs = Number(config.pollMs);
+  const channelTtlMs = Number(config.channelTtlMs);
+  const backoffMaxMs = Number(config.backoffMaxMs);
+  const refreshLeadMs = Number(config.refreshLeadMs);
+
+  // Manual switch: if false, do not poll YouTube at all (prevents quota burn)
+  let ytEnabled = Boolean(config.enabled);
+
+  let lastSeenMessageId = null;
+  let activeLiveChatId = null;
+  let nextPageToken = null;
+  let lastPollAt = null;
+  let authedChannel = null; // { id, title }
+  let activeBroadcast = null; // { id, title }
+  let authedChannelAt = null;
+
+  let pollTimeout = null;
+  let nextPollAt = null;
+  let lastPollMsEffective = null;
+  let backoffUntil = null;
+  let backoffMs = 0;
+  let budgetPaused = false; // waiting for the quota budget's daily reset
+
+  let ytAuth = null; // OAuth2 client bound to the stored tokens (shared by poller/diagnose)
+  let tokenRefreshTimer = null;
+  let tokenRefreshAt = null;
+
+  const recordingsDir = config.recordingsDir;
+  let sourceMode = 'youtube';
+  let simApi = null;
+  let replayApi = null;
+  let recordApi = null; // wraps the real client while recording is on
+  let recordEnabled = false;
+
+  function resetLiveState(reason) {
+    lastSeenMessageId = null;
+    nextPageToken = null;
+    activeLiveChatId = null;
+    activeBroadcast = null;
+    if (reason) {
+      broadcastEvent({ kind: 'status', level: 'warn', message: reason });
+    }
+  }
+
+  function scheduleNextPoll(ms, reason) {
+    if (pollTimeout) clearTimeout(pollTimeout);
+    const delay = Math.max(1200, Number(ms) || 1200);
+    lastPollMsEffective = delay;
+    nextPollAt = new Date(Date.now() + delay).toISOString();
+    pollTimeout = setTimeout(pollLoop, delay);
+    if (reason) {
+      broadcastEvent({ kind: 'status', level: 'info', message: `次回ポーリング: ${Math.round(delay)}ms後（${reason}）` });
+    }
+  }
+
+  function stopPolling(reason) {
+    if (pollTimeout) {
+      clearTimeout(pollTimeout);
+      pollTimeout = null;
+    }
+    nextPollAt = null;
+    if (reason) {
+      broadcastEvent({ kind: 'status', level: 'warn', message: reason });
+    }
+  }
+
+  // ===== Server-side YouTube auth (token store + background refresh) =====
+  // A single OAuth2 client is kept alive so googleapis can refresh the access token
+  // itself; every refresh is reported via the `tokens` event and persisted.
+  function getYouTubeAuth() {
+    if (!oauthConfigured) return null;
+    const tokens = tokenStore.getTokens();
+    if (!tokens) return null;
+    if (!ytAuth) {
+      ytAuth = createOAuthClient();
+      ytAuth.on('tokens', (t) => {
+        try {
+          tokenStore.mergeTokens(t);
+        } catch (e) {
+          // eslint-disable-next-line no-console
+          console.error('[tokens] persist failed', e);
+        }
+        scheduleTokenRefresh();
+      });
+      ytAuth.setCredentials(tokens);
+    }
+    return ytAuth;
+  }
+
+  function resetYouTubeAuth() {
+    if (ytAuth) ytAuth.removeAllListeners('tokens');
+    ytAuth = null;
+    if (tokenRefreshTimer) clearTimeout(tokenRefreshTimer);
+    tokenRefreshTimer = null;
+    tokenRefreshAt = null;
+  }
+
+  // Renew the access token ahead of expiry so polling never hits a 401 first.
+  function scheduleTokenRefresh(delayMs) {
+    if (tokenRefreshTimer) clearTimeout(tokenRefreshTimer);
+    tokenRefreshTimer = null;
+    tokenRefreshAt = null;
+    const tokens = tokenStore.getTokens();
+    if (!oauthConfigured || !tokens?.refresh_token) return;
+    let delay = Number(delayMs);
+    if (!Number.isFinite(delay)) {
+      const expiry = Number(tokens.expiry_date || 0);
+      if (!expiry) return; // unknown expiry: googleapis refreshes lazily on the next call
+      delay = expiry - Date.now() - refreshLeadMs;
+    }
+    // setTimeout overflows above ~24.8 days
+    delay = Math.min(Math.max(5_000, delay), 2 ** 31 - 1);
+    tokenRefreshAt = new Date(Date.now() + delay).toISOString();
+    tokenRefreshTimer = setTimeout(refreshTokensNow, delay);
+  }
+
+  async function refreshTokensNow() {
+    tokenRefreshTimer = null;
+    tokenRefreshAt = null;
+    const auth = getYouTubeAuth();
+    if (!auth) return;
+    try {
+      // Emits `tokens` -> persisted + next refresh scheduled.
+      await auth.refreshAccessToken();
+    } catch (e) {
+      if (handleAuthError(e)) return;
+      const info = summarizeGoogleApiError(e);
+      broadcastEvent({
+        kind: 'status',
+        level: 'warn',
+        message: `token refresh failed: ${info.status ?? '-'} ${info.reason ?? ''} ${info.message}`.trim()
+      });
+      scheduleTokenRefresh(60_000);
+    }
+  }
+
+  // Returns true if the error means the refresh token is gone (re-auth required).
+  function handleAuthError(e) {
+    if (!isInvalidGrantError(e)) return false;
+    const info = summarizeGoogleApiError(e);
+    tokenStore.markRevoked(info.message);
+    resetYouTubeAuth();
+    resetLiveState();
+    authedChannel = null;
+    authedChannelAt = null;
+    stopPolling('YouTubeの認可が取り消されました。/control から再認可してください');
+    return true;
+  }
+
+  async function getLiveChatId(youtube) {
+    // Find the channel's active live broadcast and return liveChatId.
+    // Note: This requires the authorized account to have access.
+    // IMPORTANT: `mine` and `broadcastStatus` are incompatible in YouTube Data API.
+    // Use `status=active` instead.
+    // Ref: error "Incompatible parameters specified in the request: mine, broadcastStatus"
+    const list = await youtube.liveBroadcasts.list({
+      part: ['snippet'],
+      mine: true,
+      status: 'active',
+      maxResults: 5
+    });
+    const items = list.data.items || [];
+    const active = items[0];
+    activeBroadcast = active ? {
+      id: active.id,
+      title: active?.snippet?.title || ''
+    } : null;
+    return active?.snippet?.liveChatId || null;
+  }
+
+  // ===== Chat source selection =====
+  function usesRealApi() {
+    return sourceMode === 'youtube';
+  }
+
+  // Returns an object with the googleapis `youtube` call surface, or null
+  // when the real API is selected but the tenant is not authorized.
+  function getApi() {
+    if (sourceMode === 'simulator') return simApi;
+    if (sourceMode === 'replay') return replayApi;
+    const auth = getYouTubeAuth();
+    if (!auth) return null;
+    const youtube = quota
+      ? quota.wrap(google.youtube({ version: 'v3', auth }), { tenant, source: 'poller' })
+      : google.youtube({ version: 'v3', auth });
+    if (recordEnabled) {
+      if (!recordApi) {
+        recordApi = { file: path.join(recordingsDir, recordingFileName()), lines: 0 };
+      }
+      return createRecordingApi(youtube, { filePath: recordApi.file, stats: recordApi });
+    }
+    return youtube;
+  }
+
+  // Throws Error with `code` on invalid input (mapped to 400 by the route).
+  function setSource({ mode, ratePerMin, replayFile, speed, loop, record } = {}) {
+    const nextMode = mode ? String(mode) : sourceMode;
+    if (!SOURCE_MODES.includes(nextMode)) {
+      throw Object.assign(new Error('invalid_mode'), { code: 'invalid_mode' });
+    }
+
+    if (nextMode === 'simulator') {
+      if (!simApi) simApi = createSimulatorApi({ ratePerMin: Number(ratePerMin) || 30 });
+      else if (ratePerMin !== undefined) simApi.setRate(ratePerMin);
+    }
+
+    let restarted = false;
+    if (nextMode === 'replay') {
+      if (replayFile || !replayApi || nextMode !== sourceMode) {
+        // (Re)start playback from the beginning.
+        const wantFile = replayFile ? String(replayFile) : (replayApi?.info().file || '');
+        const filePath = resolveRecording(recordingsDir, wantFile);
+        if (!filePath) throw Object.assign(new Error('invalid_replay_file'), { code: 'invalid_replay_file' });
+        try {
+          replayApi = createReplayApi({ filePath, speed: Number(speed) || 1, loop: Boolean(loop) });
+        } catch (_) {
+          throw Object.assign(new Error('replay_file_not_found'), { code: 'replay_file_not_found' });
+        }
+        restarted = true;
+      } else if (speed !== undefined) {
+        replayApi.setSpeed(speed);
+      }
+    }
+
+    if (record !== undefined) {
+      const want = Boolean(record);
+      // Each recording session gets its own file.
+      if (want !== recordEnabled) recordApi = null;
+      recordEnabled = want;
+    }
+
+    const changed = nextMode !== sourceMode || restarted;
+    sourceMode = nextMode;
+    if (changed) {
+      stopPolling();
+      resetLiveState(`コメントソースを切り替えました: ${sourceMode}`);
+      authedChannel = null;
+      authedChannelAt = null;
+      backoffUntil = null;
+      backoffMs = 0;
+      ensurePolling();
+    }
+  }
+
+  function sourceState() {
+    return {
+      mode: sourceMode,
+      simulator: simApi ? simApi.info() : null,
+      replay: replayApi ? replayApi.info() : null,
+      record: {
+        enabled: recordEnabled,
+        file: recordApi ? path.basename(recordApi.file) : null,
+        lines: recordApi ? recordApi.lines : 0
+      }
+    };
+  }
+
+  async function pollLiveChat() {
+    const youtube = getApi();
+    if (!youtube) return;
+
+    lastPollAt = nowIso();
+
+    // Cache which channel is actually authorized (helps debugging)
+    const shouldRefreshChannel = !authedChannelAt || (Date.now() - new Date(authedChannelAt).getTime()) > channelTtlMs;
+    if (!authedChannel || shouldRefreshChannel) {
+      try {
+        authedChannel = await getAuthedChannel(youtube);
+        authedChannelAt = nowIso();
+        if (authedChannel?.title) {
+          broadcastEvent({ kind: 'status', level: 'info', message: `認可チャンネル: ${authedChannel.title}` });
+        }
+      } catch (e) {
+        // Revoked refresh token: let pollLoop stop polling and flag re-auth.
+        if (isInvalidGrantError(e)) throw e;
+        const info = summarizeGoogleApiError(e);
+        broadcastEvent({
+          kind: 'status',
+          level: 'warn',
+          message: `channels.list failed: ${info.status ?? '-'} ${info.reason ?? ''} ${info.message}`.trim()
+        });
+      }
+    }
+
+    // Ensure chat id
+    if (!activeLiveChatId) {
+      activeLiveChatId = await getLiveChatId(youtube);
+      if (!activeLiveChatId) {
+        broadcastEvent({ kind: 'status', level: 'warn', message: '配信中のライブが見つかりません（liveBroadcasts.list）' });
+        return;
+      }
+      broadcastEvent({ kind: 'status', level: 'info', message: 'ライブチャットIDを取得しました' });
+    }
+
+    broadcastEvent({ kind: 'status', level: 'info', message: 'YouTubeコメントを取得中…' });
+
+    const resp = await youtube.liveChatMessages.list({
+      liveChatId: activeLiveChatId,
+      part: ['snippet', 'authorDetails'],
+      maxResults: 200,
+      pageToken: nextPageToken || undefined
+    });
+
+    const items = resp.data.items || [];
+
+    // For incremental polling, the API returns a token to get the next page of new messages.
+    // Using this is more reliable than manual lastSeen scanning.
+    nextPageToken = resp.data.nextPageToken || nextPageToken;
+
+    // Display messages in chronological order. The list can be newest-first.
+    const broadcast = activeBroadcast ? { ...activeBroadcast, source: sourceMode } : null;
+    const messages = [];
+    for (const item of items.slice().reverse()) {
+      // Moderation done on YouTube: take the message(s) off the overlay.
+      const retraction = classifyRetraction(item);
+      if (retraction) {
+        // Messages before it go out first (it may retract one of them).
+        pipeline.ingest(broadcast, messages.splice(0));
+        pipeline.retract(retraction);
+        continue;
+      }
+
+      // YouTube's own polls go to the poll card, not the chat.
+      if (item?.snippet?.type === 'pollEvent') {
+        if (polls) polls.onYouTubePoll(item);
+        continue;
+      }
+
+      messages.push(toChatMessage(item));
+    }
+    pipeline.ingest(broadcast, messages);
+
+    if (items.length > 0) {
+      // newest is first in original list
+      lastSeenMessageId = items[0].id;
+    }
+
+    const pollMsFromApi = Number(resp?.data?.pollingIntervalMillis || 0);
+    broadcastEvent({ kind: 'status', level: 'info', message: `取得完了（items=${items.length} / next=${nextPageToken ? 'yes' : 'no'} / apiPoll=${pollMsFromApi || '-'}ms）` });
+
+    return {
+      pollMsFromApi: pollMsFromApi || null,
+      // Set once the stream went offline (the chat may stay readable a while).
+      offlineAt: resp?.data?.offlineAt || null
+    };
+  }
+
+  // Poll failures are part of the broadcast's report (see lib/stream-stats.js).
+  function noteError(info) {
+    if (!streamStats || !activeBroadcast) return;
+    try {
+      streamStats.noteError({ ...activeBroadcast, source: sourceMode }, info);
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[stats] noteError failed', e);
+    }
+  }
+
+  // The broadcast is over: forget it and let the switch react. Returns false
+  // when that turned fetching off (nothing more to schedule).
+  function liveEnded(reason, message) {
+    const broadcast = activeBroadcast;
+    resetLiveState(message);
+    if (onLiveEnded) {
+      try { onLiveEnded({ reason, broadcast }); } catch (_) { /* ignore */ }
+    }
+    return ytEnabled;
+  }
+
+  async function pollLoop() {
+    if (!ytEnabled) {
+      stopPolling('YouTubeコメント取得: OFF');
+      return;
+    }
+    if (usesRealApi() && !getYouTubeAuth()) {
+      const { needsReauth } = tokenStore.status();
+      stopPolling(needsReauth ? 'YouTubeの再認可が必要です（polling停止）' : '未認可のためpollingを停止しました');
+      return;
+    }
+    // If quota exceeded backoff is active, stop until backoff expires.
+    if (backoffUntil && Date.now() < new Date(backoffUntil).getTime()) {
+      scheduleNextPoll(new Date(backoffUntil).getTime() - Date.now(), 'quota backoff');
+      return;
+    }
+    // Today's budget is spent: check again later (the budget may be raised
+    // from /control) and resume at the Pacific midnight reset.
+    if (quota && usesRealApi() && quota.exhausted()) {
+      if (!budgetPaused) {
+        budgetPaused = true;
+        broadcastEvent({ kind: 'status', level: 'warn', message: '本日のクォータ予算を使い切りました（太平洋時間 0:00 のリセットまで停止）' });
+      }
+      scheduleNextPoll(Math.min(quota.msUntilReset(), 5 * 60 * 1000), 'quota budget');
+      return;
+    }
+    budgetPaused = false;
+
+    try {
+      const r = await pollLiveChat();
+      // Success: reset backoff
+      backoffUntil = null;
+      backoffMs = 0;
+
+      if (r?.offlineAt) {
+        if (liveEnded('offline', 'ライブ配信が終了しました（再検出します）')) {
+          scheduleNextPoll(Math.max(15_000, Math.max(1200, pollMs)), 'chat ended');
+        }
+        return;
+      }
+
+      const apiMs = Number(r?.pollMsFromApi || 0);
+      // Prefer YouTube's suggested interval; fall back to env. The quota
+      // budget may stretch either so the day's units last.
+      const baseMs = Math.max(1200, pollMs);
+      const minMs = apiMs > 0 ? Math.max(baseMs, apiMs) : baseMs;
+      const budgetMs = quota && usesRealApi()
+        ? quota.intervalMs(tenant, activeLiveChatId ? 'liveChatMessages.list' : 'liveBroadcasts.list', baseMs)
+        : 0;
+      if (budgetMs > minMs) scheduleNextPoll(budgetMs, 'quota budget');
+      else scheduleNextPoll(minMs, apiMs > 0 ? 'api interval' : 'env interval');
+    } catch (e) {
+      if (handleAuthError(e)) return;
+
+      const quotaHit = isQuotaExceededError(e);
+      const chatClosed = isChatNoLongerLiveError(e);
+      const msg = `poll error: ${e?.message || e}`;
+      broadcastEvent({ kind: 'status', level: (quotaHit || chatClosed) ? 'error' : 'warn', message: msg });
+
+      if (chatClosed) {
+        noteError();
+        // The broadcast ended or the chatId became invalid.
+        // Reset state so next loop will re-detect an active broadcast.
+        if (liveEnded('chat_closed', 'ライブチャットが終了しました（再検出します）')) {
+          // Slow down a bit to avoid hammering.
+          scheduleNextPoll(Math.max(15_000, Math.max(1200, pollMs)), 'chat ended');
+        }
+        return;
+      }
+
+      if (quotaHit) {
+        // Exponential backoff up to max.
+        backoffMs = backoffMs ? Math.min(backoffMs * 2, backoffMaxMs) : Math.min(60_000, backoffMaxMs);
+        backoffUntil = new Date(Date.now() + backoffMs).toISOString();
+        noteError({ quota: true, backoffMs });
+        if (quota && usesRealApi()) quota.noteExceeded();
+        broadcastEvent({ kind: 'status', level: 'warn', message: `クォータ超過のため一時停止します（${Math.round(backoffMs / 1000)}秒）` });
+        scheduleNextPoll(backoffMs, 'quota backoff');
+        return;
+      }
+
+      // Non-quota: wait a bit and retry
+      noteError();
+    scheduleNextPoll(Math.max(15_000, Math.max(1200, pollMs)), 'retry');
+    }
+  }
+
+  function ensurePolling() {
+    if (!ytEnabled) return;
+    if (pollTimeout) return;
+    if (usesRealApi() && !getYouTubeAuth()) return;
+    scheduleNextPoll(Math.max(1200, pollMs), 'start');
+  }
+
+  function resetMarkers() {
+    lastSeenMessageId = null;
+    activeLiveChatId = null;
+    nextPageToken = null;
+    authedChannel = null;
+    activeBroadcast = null;
+    authedChannelAt = null;
+    backoffUntil = null;
+    backoffMs = 0;
+  }
+
+  function setEnabled(enabled) {
+    ytEnabled = Boolean(enabled);
+    backoffUntil = null;
+    backoffMs = 0;
+    if (!ytEnabled) {
+      resetLiveState('YouTubeコメント取得をOFFにしました');
+      stopPolling('YouTubeコメント取得: OFF');
+    } else {
+      resetLiveState('YouTubeコメント取得をONにしました（再検出します）');
+      ensurePolling();
+    }
+  }
+
+  // Fresh OAuth consent finished: store tokens and (re)start the worker.
+  function authorize(tokens) {
+    tokenStore.setTokens(tokens);
+    if (!tokens?.refresh_token) {
+      broadcastEvent({ kind: 'status', level: 'warn', message: 'refresh_tokenが取得できませんでした（期限切れ後に再認可が必要です）' });
+    }
+    resetYouTubeAuth();
+    resetMarkers();
+    scheduleTokenRefresh();
+    // Start polling only if enabled
+    ensurePolling();
+  }
+
+  function logout() {
+    tokenStore.clear();
+    resetYouTubeAuth();
+    resetMarkers();
+    stopPolling('ログアウトしました（polling停止）');
+  }
+
+  // Called once at boot (and after tenant creation).
+  function start() {
+    if (config.source) {
+      try {
+        setSource(config.source);
+      } catch (e) {
+        // eslint-disable-next-line no-console
+        console.warn('[source] ignoring invalid source config (%s)', e?.code || e);
+      }
+    }
+    const token = tokenStore.status();
+    if (token.loadError) {
+      // eslint-disable-next-line no-console
+      console.warn('[tokens] could not read token store (%s). Re-authorize from /control.', token.loadError);
+    }
+    scheduleTokenRefresh();
+    ensurePolling();
+  }
+
+  // Stop all timers (tenant removed).
+  function shutdown() {
+    resetYouTubeAuth();
+    stopPolling();
+  }
+
+  function state() {
+    return {
+      ytEnabled,
+      pollMs: Math.max(1200, pollMs),
+      pollMsEffective: lastPollMsEffective,
+      polling: Boolean(pollTimeout),
+      nextPollAt,
+      backoffUntil,
+      budgetPaused,
+      authedChannel,
+      authedChannelAt,
+      activeBroadcast,
+      activeLiveChatId: activeLiveChatId || null,
+      lastSeenMessageId: lastSeenMessageId || null,
+      lastPollAt,
+      tokenRefreshAt,
+      source: sourceState()
+    };
+  }
+
+  return {
+    platform: 'youtube',
+    isEnabled: () => ytEnabled,
+    setEnabled,
+    authorize,
+    logout,
+    start,
+    shutdown,
+    state,
+    ensurePolling,
+    setSource,
+    getYouTubeAuth,
+    handleAuthError
+  };
+}
+
+module.exports = {
+  createYouTubePoller,
+  classifySpecialEvent,
+  classifyRetraction,
+  toChatMessage,
+  summarizeGoogleApiError,
+  isQuotaExceededError,
+  isChatNoLongerLiveError,
+  isInvalidGrantError
+};
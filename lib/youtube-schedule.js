@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+const { google } = require('googleapis');
+const { summarizeGoogleApiError } = require('./youtube-poller');
+
+// ===== YouTube fetching switch (OFF / ON / auto) =====
+// The /control switch of a tenant's YouTube poller, kept across restarts
+// (youtube.json):
+//   { mode: off | on | auto, updatedAt,
+//     next: { id, title, scheduledStartTime } | null,   // next upcoming broadcast
+//     checkedAt, lastError,
+//     autoOn: { id, title, scheduledStartTime, since } | null,  // auto mode turned fetching on
+//     ended: [broadcast ids auto mode already followed, newest first] }
+//
+// In `auto` mode the channel's upcoming broadcasts are looked up every
+// `checkMs` (liveBroadcasts.list with broadcastStatus=upcoming: 1 unit), and
+// fetching is turned on `leadMs` before the next scheduled start. It goes off
+// again when the live chat ends (the poller's onLiveEnded), or when nothing
+// went live within `graceMs` of the scheduled start. The simulator / replay
+// sources have no schedule: there auto behaves like on.
+
+const MODES = ['off', 'on', 'auto'];
+const RECHECK_MS = 5 * 60 * 1000; // while turned on automatically (no API call)
+const MAX_ENDED = 20;
+
+function fail(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+function nowIso() { return new Date().toISOString(); }
+
+function broadcastView(item) {
+  return {
+    id: String(item.id || ''),
+    title: String(item?.snippet?.title || ''),
+    scheduledStartTime: item?.snippet?.scheduledStartTime || null
+  };
+}
+
+function createYouTubeSchedule({ filePath, yt, quota, tenant, broadcastEvent, onChange, config }) {
+  const checkMs = Number(config.checkMs);
+  const leadMs = Number(config.leadMs);
+  const graceMs = Number(config.graceMs);
+  let settings = null;
+  let timer = null;
+  let wakeAt = null;
+  let checking = null;
+
+  function load() {
+    if (settings) return settings;
+    settings = { mode: MODES.includes(config.initialMode) ? config.initialMode : 'off', updatedAt: null, next: null, checkedAt: null, lastError: null, autoOn: null, ended: [] };
+    try {
+      if (fs.existsSync(filePath)) {
+        const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (MODES.includes(json?.mode)) settings.mode = json.mode;
+        settings.updatedAt = json?.updatedAt || null;
+        settings.checkedAt = json?.checkedAt || null;
+        settings.lastError = json?.lastError || null;
+        if (json?.next?.scheduledStartTime) settings.next = json.next;
+        if (json?.autoOn?.since) settings.autoOn = json.autoOn;
+        if (Array.isArray(json?.ended)) settings.ended = json.ended.filter((id) => typeof id === 'string').slice(0, MAX_ENDED);
+      }
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[yt-schedule] failed to read youtube.json, using defaults', e);
+    }
+    return settings;
+  }
+
+  function save() {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(settings, null, 2), 'utf8');
+    fs.renameSync(tmp, filePath);
+  }
+
+  function usesSchedule() {
+    return yt.state().source.mode === 'youtube';
+  }
+
+  // Automatic switching: only when the state actually changes.
+  function switchTo(on, message) {
+    if (yt.isEnabled() === on) return;
+    yt.setEnabled(on);
+    if (message) broadcastEvent({ kind: 'status', level: 'info', message });
+    onChange?.();
+  }
+
+  function arm(ms) {
+    if (timer) clearTimeout(timer);
+    // setTimeout overflows above ~24.8 days
+    const delay = Math.min(Math.max(1000, ms), 2 ** 31 - 1);
+    wakeAt = new Date(Date.now() + delay).toISOString();
+    timer = setTimeout(wake, delay);
+    timer.unref?.();
+  }
+
+  function disarm() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    wakeAt = null;
+  }
+
+  // Earliest upcoming broadcast that can still start (YouTube keeps missed
+  // ones as "upcoming", and may list one that just ended for a moment).
+  function pickNext(items, now) {
+    const ended = load().ended;
+    return (items || [])
+      .map(broadcastView)
+      .filter((b) => b.id && !ended.includes(b.id) && b.scheduledStartTime && Date.parse(b.scheduledStartTime) + graceMs > now)
+      .sort((a, b) => Date.parse(a.scheduledStartTime) - Date.parse(b.scheduledStartTime))[0] || null;
+  }
+
+  async function runCheck() {
+    const s = load();
+    s.checkedAt = nowIso();
+    try {
+      const auth = yt.getYouTubeAuth();
+      if (!auth) throw fail('not_authed');
+      if (quota?.exhausted()) throw fail('quota_budget');
+      const client = google.youtube({ version: 'v3', auth });
+      const youtube = quota ? quota.wrap(client, { tenant, source: 'schedule' }) : client;
+      // `mine` cannot be combined with broadcastStatus; the status filter
+      // already returns the authorized channel's broadcasts.
+      const resp = await youtube.liveBroadcasts.list({ part: ['snippet'], broadcastStatus: 'upcoming', maxResults: 10 });
+      s.next = pickNext(resp?.data?.items, Date.now());
+      s.lastError = null;
+    } catch (e) {
+      if (e?.code === 'not_authed' || e?.code === 'quota_budget') s.lastError = e.code;
+      else if (yt.handleAuthError(e)) s.lastError = 'needs_reauth';
+      else s.lastError = summarizeGoogleApiError(e).message;
+    }
+    save();
+    onChange?.();
+  }
+
+  // One lookup at a time (timer and /control may overlap).
+  function check() {
+    if (!checking) checking = runCheck().finally(() => { checking = null; });
+    return checking;
+  }
+
+  function autoOnFor(next) {
+    const s = load();
+    s.autoOn = { ...next, since: nowIso() };
+    s.next = null;
+    save();
+    switchTo(true, `配信予定「${next.title || next.id}」に合わせてコメント取得をONにしました（自動）`);
+    plan();
+  }
+
+  function autoOff(message) {
+    const s = load();
+    s.ended = [s.autoOn?.id, ...s.ended.filter((id) => id !== s.autoOn?.id)].filter(Boolean).slice(0, MAX_ENDED);
+    s.autoOn = null;
+    // Look up the next broadcast right away.
+    s.checkedAt = null;
+    save();
+    switchTo(false, message);
+    plan();
+  }
+
+  // What auto mode does now, and when to look again.
+  function plan() {
+    disarm();
+    const s = load();
+    if (s.mode !== 'auto') return;
+    if (!usesSchedule()) {
+      switchTo(true, 'シミュレーター / 録画の再生中は自動モードでもコメント取得をONにします');
+      return;
+    }
+    const now = Date.now();
+    if (s.autoOn) {
+      // Live: wait for the chat to end. Otherwise give up after the grace period.
+      const giveUpAt = Date.parse(s.autoOn.scheduledStartTime || s.autoOn.since) + graceMs;
+      if (!yt.state().activeBroadcast && now >= giveUpAt) {
+        autoOff('予定時刻を過ぎても配信が始まらないため、コメント取得をOFFにしました（自動）');
+        return;
+      }
+      arm(RECHECK_MS);
+      return;
+    }
+    switchTo(false, null);
+    const startAt = s.next ? Date.parse(s.next.scheduledStartTime) - leadMs : Infinity;
+    if (now >= startAt) {
+      autoOnFor(s.next);
+      return;
+    }
+    const checkAt = s.checkedAt ? Date.parse(s.checkedAt) + checkMs : now;
+    arm(Math.min(startAt, checkAt) - now);
+  }
+
+  // Timer callback: a failure (e.g. youtube.json not writable) must not
+  // leave auto mode without a timer, so it tries again after checkMs.
+  async function wake() {
+    timer = null;
+    wakeAt = null;
+    try {
+      const s = load();
+      if (s.mode !== 'auto') return;
+      const due = s.next && Date.now() >= Date.parse(s.next.scheduledStartTime) - leadMs;
+      if (!s.autoOn && !due && usesSchedule()) await check();
+      plan();
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.error('[yt-schedule] scheduled check failed', tenant, e);
+      arm(checkMs);
+    }
+  }
+
+  function state() {
+    const s = load();
+    return {
+      mode: s.mode,
+      enabled: yt.isEnabled(),
+      updatedAt: s.updatedAt,
+      next: s.next ? { ...s.next } : null,
+      autoOn: s.autoOn ? { ...s.autoOn } : null,
+      checkedAt: s.checkedAt,
+      nextCheckAt: s.mode === 'auto' ? wakeAt : null,
+      lastError: s.lastError,
+      leadMs,
+      checkMs
+    };
+  }
+
+  return {
+    state,
+
+    // Manual choice from /control or the automation API.
+    setMode(mode) {
+      if (!MODES.includes(mode)) throw fail('invalid_mode');
+      const s = load();
+      const live = yt.isEnabled() ? yt.state().activeBroadcast : null;
+      s.mode = mode;
+      s.updatedAt = nowIso();
+      s.autoOn = null;
+      if (mode === 'auto') {
+        // Switching to auto during a stream keeps it running until it ends.
+        if (live) s.autoOn = { id: live.id, title: live.title, scheduledStartTime: null, since: nowIso() };
+        s.checkedAt = null;
+      }
+      save();
+      if (mode !== 'auto') {
+        disarm();
+        yt.setEnabled(mode === 'on');
+      }
+      plan();
+      onChange?.();
+      return state();
+    },
+
+    // Looks up upcoming broadcasts now (button in /control), in any mode.
+    async checkNow() {
+      await check();
+      plan();
+      return state();
+    },
+
+    onLiveEnded() {
+      const s = load();
+      if (s.mode === 'auto' && s.autoOn) autoOff('配信が終了したため、コメント取得をOFFにしました（自動）');
+    },
+
+    // The chat source changed (simulator / replay have no schedule).
+    onSourceChanged() {
+      plan();
+    },
+
+    // Called once at boot (and after tenant creation), after the poller's start().
+    start() {
+      const s = load();
+      if (s.mode === 'on' || (s.mode === 'auto' && s.autoOn)) yt.setEnabled(true);
+      plan();
+    },
+
+    shutdown() {
+      disarm();
+    }
+  };
+}
+
+module.exports = { createYouTubeSchedule, MODES };
@@ -1,9 +1,40 @@
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const express = require('express');
 const cookieSession = require('cookie-session');
 const { google } = require('googleapis');
 const multer = require('multer');
+const { createTokenStore } = require('./lib/token-store');
+const { createTenantRegistry, isValidSlug, DEFAULT_SLUG } = require('./lib/tenants');
+const { createYouTubePoller, summarizeGoogleApiError } = require('./lib/youtube-poller');
+const { listRecordings } = require('./lib/chat-replay');
+const { createChatHistory } = require('./lib/chat-history');
+const { createStreamStats } = require('./lib/stream-stats');
+const { createEventStream } = require('./lib/event-stream');
+const { createChatFilter } = require('./lib/chat-filter');
+const { createAvatarProxy } = require('./lib/avatar-proxy');
+const { normalizeAlertSettings, normalizeAlertMedia } = require('./lib/alert-templates');
+const { createMediaLibrary, sniffMedia } = require('./lib/media-library');
+const {
+  ensureProfiles, resolveProfile, updateProfile, createProfile, deleteProfile, activateProfile,
+  setProfileTheme, isValidProfileId, DEFAULT_PROFILE_ID
+} = require('./lib/profiles');
+const { listLayouts, normalizeHiddenRegions, OVERLAY_REGIONS } = require('./lib/layouts');
+const { normalizeAnnouncements, createAnnouncementScheduler } = require('./lib/announcements');
+const { createTimer } = require('./lib/timer');
+const { createGoals } = require('./lib/goals');
+const { createPolls } = require('./lib/polls');
+const { createFeatured } = require('./lib/featured');
+const { createChatPipeline, normalizeMessage } = require('./lib/chat-pipeline');
+const { createTwitchChat } = require('./lib/twitch-irc');
+const { createWebhooks } = require('./lib/webhooks');
+const { createApiKeys } = require('./lib/api-keys');
+const { createAutomation, listCommands, SCOPES } = require('./lib/automation');
+const { acceptWebSocket, rejectUpgrade } = require('./lib/websocket');
+const { createQuotaBudget } = require('./lib/quota-budget');
+const { createYouTubeSchedule } = require('./lib/youtube-schedule');
+const { createSettingsStore } = require('./lib/settings-store');
 
 const app = express();
 
@@ -22,32 +53,26 @@ process.on('unhandledRejection', (err) => {
 const port = Number(process.env.PORT || 3000);
 
 const rootDir = __dirname;
-const settingsPath = path.join(rootDir, 'settings.json');
-const uploadsDir = path.join(rootDir, 'uploads');
-const uploadedLogoBasePath = path.join(uploadsDir, 'logo');
+// Server-side state that must survive restarts (tokens etc.).
+// On Railway, mount a volume and point DATA_DIR at it.
+const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(rootDir, 'data');
 
-function ensureUploadsDir() {
+function ensureDir(dir) {
   try {
-    if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
   } catch (_) {
     // ignore
   }
 }
 
-function readSettings() {
-  try {
-    if (!fs.existsSync(settingsPath)) return {};
-    const raw = fs.readFileSync(settingsPath, 'utf8');
-    const json = JSON.parse(raw);
-    return (json && typeof json === 'object') ? json : {};
-  } catch (_) {
-    return {};
-  }
+// settings.json goes through lib/settings-store.js (schema, migrations, revisions).
+function readSettings(t) {
+  return t.settingsStore.read();
 }
 
-function writeSettings(obj) {
-  const safe = (obj && typeof obj === 'object') ? obj : {};
-  fs.writeFileSync(settingsPath, JSON.stringify(safe, null, 2), 'utf8');
+// meta: { actor, action } for the revision history (see settingsChange()).
+function writeSettings(t, obj, meta) {
+  return t.settingsStore.write(obj, meta);
 }
 
 // ===== Control (admin) protection =====
@@ -61,30 +86,55 @@ function hasControlAuthConfigured() {
   return Boolean(CONTROL_USER || CONTROL_PASS);
 }
 
-function unauthorizedBasic(res) {
-  res.setHeader('WWW-Authenticate', 'Basic realm="Streaming-Screen Control"');
+function unauthorizedBasic(res, realm) {
+  res.setHeader('WWW-Authenticate', `Basic realm="${realm || 'Streaming-Screen Control'}"`);
   res.status(401).send('Unauthorized');
 }
 
-function checkBasicAuth(req) {
-  if (!hasControlAuthConfigured()) return true;
+function parseBasicAuth(req) {
   const hdr = String(req.get('authorization') || '');
   const m = /^Basic\s+(.+)$/i.exec(hdr);
-  if (!m) return false;
+  if (!m) return null;
   try {
     const decoded = Buffer.from(m[1], 'base64').toString('utf8');
     const idx = decoded.indexOf(':');
     const user = idx >= 0 ? decoded.slice(0, idx) : decoded;
     const pass = idx >= 0 ? decoded.slice(idx + 1) : '';
-    return user === CONTROL_USER && pass === CONTROL_PASS;
+    return { user, pass };
   } catch (_) {
-    return false;
+    return null;
   }
 }
 
+// Deployment admin (CONTROL_USER / CONTROL_PASS).
+function checkBasicAuth(req) {
+  if (!hasControlAuthConfigured()) return true;
+  const cred = parseBasicAuth(req);
+  if (!cred) return false;
+  return cred.user === CONTROL_USER && cred.pass === CONTROL_PASS;
+}
+
+// Tenant control: the admin credentials always work; a tenant may also have
+// its own ID/PW (set from /admin) so streamers never see the admin password.
+function checkControlAuth(req) {
+  const slug = req.tenant?.slug;
+  const tenantProtected = Boolean(slug && tenantRegistry.get(slug)?.controlPassHash);
+  if (!hasControlAuthConfigured() && !tenantProtected) return true;
+  const cred = parseBasicAuth(req);
+  if (!cred) return false;
+  if (hasControlAuthConfigured() && cred.user === CONTROL_USER && cred.pass === CONTROL_PASS) return true;
+  return tenantProtected && tenantRegistry.checkControl(slug, cred.user, cred.pass);
+}
+
 function requireControl(req, res, next) {
+  if (checkControlAuth(req)) return next();
+  const slug = req.tenant?.slug;
+  return unauthorizedBasic(res, (slug && slug !== DEFAULT_SLUG) ? `Streaming-Screen Control (${slug})` : null);
+}
+
+function requireAdmin(req, res, next) {
   if (checkBasicAuth(req)) return next();
-  return unauthorizedBasic(res);
+  return unauthorizedBasic(res, 'Streaming-Screen Admin');
 }
 
 // ===== Self test (no HTTP) =====
@@ -153,6 +203,23 @@ if (process.argv.includes('--selftest')) {
 //   YT_CHANNEL_ID (to pick a channel if the account has multiple)
 //   YT_POLL_MS (default 10000)
 //   SESSION_SECRET (cookie encryption secret)
+//   TOKEN_SECRET (token store encryption secret; falls back to SESSION_SECRET)
+//   YT_TOKEN_REFRESH_LEAD_MS (refresh access token this long before expiry, default 5m)
+//   YT_SOURCE (youtube | simulator | replay, default youtube)
+//   YT_SIM_RATE (simulator messages per minute, default 30)
+//   YT_REPLAY_FILE / YT_REPLAY_SPEED (recording name under the recordings dir, speed multiplier)
+//   YT_RECORD=1 (record real API responses for later replay)
+//   YT_QUOTA_DAILY (initial daily quota budget in units, default 10000 = the default project quota)
+//   YT_SCHEDULE_CHECK_MIN / YT_SCHEDULE_LEAD_MIN / YT_SCHEDULE_GRACE_MIN (auto mode: upcoming-broadcast
+//     check interval, how long before the scheduled start fetching turns on, how long after it to give up;
+//     default 30 / 10 / 60)
+//   YT_STREAM_HOURS (initial expected stream length the budget has to last, default 4)
+//   SSE_BUFFER_SIZE (events kept for Last-Event-ID resume, default 500)
+//   SSE_HEARTBEAT_MS (comment heartbeat interval, default 15000)
+//   CHAT_HISTORY_RETENTION_DAYS (initial retention of stored chat history, default 30, 0 = forever)
+//   MEDIA_QUOTA_MB / MEDIA_MAX_FILE_MB (alert media library size per tenant / per file, default 50 / 5)
+//   TWITCH_IRC_HOST / TWITCH_IRC_PORT / TWITCH_IRC_TLS (Twitch chat server, default irc.chat.twitch.tv:6697 TLS;
+//     point it at a local stand-in IRC server for testing, e.g. TWITCH_IRC_HOST=127.0.0.1 TWITCH_IRC_PORT=6667 TWITCH_IRC_TLS=0)
 const YT_CLIENT_ID = process.env.YT_CLIENT_ID || '';
 const YT_CLIENT_SECRET = process.env.YT_CLIENT_SECRET || '';
 const YT_REDIRECT_URL = process.env.YT_REDIRECT_URL || '';
@@ -160,17 +227,55 @@ const YT_CHANNEL_ID = process.env.YT_CHANNEL_ID || '';
 // Default polling interval (ms). YouTube may return pollingIntervalMillis which must be respected.
 // We treat this as a *minimum* interval; lowering it increases responsiveness but may increase quota usage.
 const YT_POLL_MS = Number(process.env.YT_POLL_MS || 15000);
-// Manual switch: if false, do not poll YouTube at all (prevents quota burn)
-// Can be toggled at runtime via /api/yt/enabled
-let ytEnabled = String(process.env.YT_ENABLED || '0') === '1';
+// Initial value of each tenant's switch (changed at runtime via /api/yt/enabled or
+// /api/yt/mode and kept in youtube.json from then on)
+const YT_ENABLED = String(process.env.YT_ENABLED || '0') === '1';
 const YT_CHANNEL_TTL_MS = Number(process.env.YT_CHANNEL_TTL_MS || 6 * 60 * 60 * 1000); // 6h
 const YT_BACKOFF_MAX_MS = Number(process.env.YT_BACKOFF_MAX_MS || 30 * 60 * 1000); // 30m
+const YT_TOKEN_REFRESH_LEAD_MS = Number(process.env.YT_TOKEN_REFRESH_LEAD_MS || 5 * 60 * 1000); // 5m
+// Initial quota budget (changed at runtime from /control, stored in DATA_DIR/quota.json)
+const YT_QUOTA_DAILY = Number(process.env.YT_QUOTA_DAILY || 10000);
+const YT_STREAM_HOURS = Number(process.env.YT_STREAM_HOURS || 4);
+// Auto mode of the switch (see lib/youtube-schedule.js)
+const YT_SCHEDULE = {
+  checkMs: Number(process.env.YT_SCHEDULE_CHECK_MIN || 30) * 60 * 1000,
+  leadMs: Number(process.env.YT_SCHEDULE_LEAD_MIN || 10) * 60 * 1000,
+  graceMs: Number(process.env.YT_SCHEDULE_GRACE_MIN || 60) * 60 * 1000
+};
+const SSE_BUFFER_SIZE = Number(process.env.SSE_BUFFER_SIZE || 500);
+const SSE_HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS || 15000);
+const CHAT_HISTORY_RETENTION_DAYS = Number(process.env.CHAT_HISTORY_RETENTION_DAYS || 30);
+const MEDIA_QUOTA_BYTES = Number(process.env.MEDIA_QUOTA_MB || 50) * 1024 * 1024;
+const MEDIA_MAX_FILE_BYTES = Number(process.env.MEDIA_MAX_FILE_MB || 5) * 1024 * 1024;
+// Initial chat source of each tenant (switchable at runtime via /api/yt/source)
+const YT_SOURCE = {
+  mode: process.env.YT_SOURCE || 'youtube',
+  ratePerMin: Number(process.env.YT_SIM_RATE || 30),
+  replayFile: process.env.YT_REPLAY_FILE || undefined,
+  speed: Number(process.env.YT_REPLAY_SPEED || 1),
+  record: String(process.env.YT_RECORD || '0') === '1'
+};
+
+const TWITCH_IRC = {
+  host: process.env.TWITCH_IRC_HOST || 'irc.chat.twitch.tv',
+  port: Number(process.env.TWITCH_IRC_PORT || 0) || undefined,
+  tls: String(process.env.TWITCH_IRC_TLS || '1') !== '0'
+};
 
 const oauthConfigured = Boolean(YT_CLIENT_ID && YT_CLIENT_SECRET && YT_REDIRECT_URL);
 
+// OAuth tokens live on the server (encrypted file), not in the cookie session.
+// The background poller uses them regardless of which browser did the OAuth flow.
+const TOKEN_SECRET = process.env.TOKEN_SECRET || process.env.SESSION_SECRET || 'dev_only_change_me';
+
 // Startup summary (do not log secrets)
 // eslint-disable-next-line no-console
-console.log('[boot] oauthConfigured=%s ytEnabled=%s port=%s host=%s redirectUrl=%s', oauthConfigured, ytEnabled, port, process.env.HOST || '0.0.0.0', Boolean(YT_REDIRECT_URL));
+console.log('[boot] oauthConfigured=%s ytEnabled=%s port=%s host=%s redirectUrl=%s', oauthConfigured, YT_ENABLED, port, process.env.HOST || '0.0.0.0', Boolean(YT_REDIRECT_URL));
+
+if (!process.env.TOKEN_SECRET && !process.env.SESSION_SECRET) {
+  // eslint-disable-next-line no-console
+  console.warn('[boot] TOKEN_SECRET / SESSION_SECRET not set: stored OAuth tokens use a dev-only key');
+}
 
 app.use(cookieSession({
   name: 'ss_session',
@@ -187,417 +292,356 @@ app.use(cookieSession({
 app.set('trust proxy', 1);
 
 function createOAuthClient() {
-  return new google.auth.OAuth2(YT_CLIENT_ID, YT_CLIENT_SECRET, YT_REDIRECT_URL);
-}
-
-function escapeSseData(obj) {
-  return JSON.stringify(obj).replace(/\u2028|\u2029/g, '');
-}
-
-// In-memory event fanout (good enough for single-instance hosting).
-// If Railway scales to multiple instances, you'd need Redis or similar.
-const sseClients = new Set();
-let pollTimer = null;
-let lastSeenMessageId = null;
-let activeLiveChatId = null;
-let nextPageToken = null;
-let lastStatus = { kind: 'status', level: 'info', message: 'idle', ts: new Date().toISOString() };
-let lastPollAt = null;
-let authedChannel = null; // { id, title }
-let activeBroadcast = null; // { id, title }
-let authedChannelAt = null;
-
-let pollTimeout = null;
-let nextPollAt = null;
-let lastPollMsEffective = null;
-let backoffUntil = null;
-let backoffMs = 0;
-
-function nowIso() { return new Date().toISOString(); }
-
-function isQuotaExceededError(e) {
-  const msg = String(e?.message || '').toLowerCase();
-  const reason = String(e?.errors?.[0]?.reason || e?.response?.data?.error?.errors?.[0]?.reason || '').toLowerCase();
-  return msg.includes('exceeded your quota') || reason === 'quotaexceeded' || msg.includes('quotaexceeded');
+  return new google.auth.OAuth2({
+    clientId: YT_CLIENT_ID,
+    clientSecret: YT_CLIENT_SECRET,
+    redirectUri: YT_REDIRECT_URL,
+    eagerRefreshThresholdMillis: YT_TOKEN_REFRESH_LEAD_MS
+  });
 }
 
-function isChatNoLongerLiveError(e) {
-  const msg = String(e?.message || '').toLowerCase();
-  const reason = String(e?.errors?.[0]?.reason || e?.response?.data?.error?.errors?.[0]?.reason || '').toLowerCase();
-  return msg.includes('live chat is no longer live') || reason === 'livechatnotfound' || reason === 'livechatclosed';
-}
+// ===== Tenants =====
+// The root URLs serve the implicit "default" tenant (same files as before
+// multi-tenant support). Other tenants live under /t/<slug>/ and keep their
+// files in DATA_DIR/tenants/<slug>/.
+const tenantRegistry = createTenantRegistry({ filePath: path.join(dataDir, 'tenants.json') });
+const tenants = new Map(); // slug -> tenant context
+// All tenants poll with the same OAuth client (Google Cloud project), so they
+// share one daily quota.
+const quotaBudget = createQuotaBudget({
+  filePath: path.join(dataDir, 'quota.json'),
+  dailyBudget: YT_QUOTA_DAILY,
+  streamHours: YT_STREAM_HOURS
+});
 
-function summarizeGoogleApiError(e) {
-  try {
-    const status = e?.code || e?.response?.status;
-    const reason = e?.errors?.[0]?.reason || e?.response?.data?.error?.errors?.[0]?.reason;
-    const message = e?.message || e?.response?.data?.error?.message;
+function tenantPaths(slug) {
+  if (slug === DEFAULT_SLUG) {
     return {
-      status: status ?? null,
-      reason: reason ? String(reason) : null,
-      message: message ? String(message) : String(e)
+      settingsPath: path.join(rootDir, 'settings.json'),
+      settingsHistoryPath: path.join(dataDir, 'settings-history.json'),
+      uploadsDir: path.join(rootDir, 'uploads'),
+      tokensPath: path.join(dataDir, 'tokens.json'),
+      recordingsDir: path.join(dataDir, 'recordings'),
+      historyDir: path.join(dataDir, 'history'),
+      statsDir: path.join(dataDir, 'stats'),
+      moderationPath: path.join(dataDir, 'moderation.json'),
+      mediaDir: path.join(dataDir, 'media'),
+      timerPath: path.join(dataDir, 'timer.json'),
+      goalsPath: path.join(dataDir, 'goals.json'),
+      pollsPath: path.join(dataDir, 'polls.json'),
+      twitchPath: path.join(dataDir, 'twitch.json'),
+      hooksPath: path.join(dataDir, 'hooks.json'),
+      apiKeysPath: path.join(dataDir, 'apikeys.json'),
+      youtubePath: path.join(dataDir, 'youtube.json')
     };
-  } catch (_) {
-    return { status: null, reason: null, message: String(e) };
   }
+  const dir = path.join(dataDir, 'tenants', slug);
+  return {
+    settingsPath: path.join(dir, 'settings.json'),
+    settingsHistoryPath: path.join(dir, 'settings-history.json'),
+    uploadsDir: path.join(dir, 'uploads'),
+    tokensPath: path.join(dir, 'tokens.json'),
+    recordingsDir: path.join(dir, 'recordings'),
+    historyDir: path.join(dir, 'history'),
+    statsDir: path.join(dir, 'stats'),
+    moderationPath: path.join(dir, 'moderation.json'),
+    mediaDir: path.join(dir, 'media'),
+    timerPath: path.join(dir, 'timer.json'),
+    goalsPath: path.join(dir, 'goals.json'),
+    pollsPath: path.join(dir, 'polls.json'),
+    twitchPath: path.join(dir, 'twitch.json'),
+    hooksPath: path.join(dir, 'hooks.json'),
+    apiKeysPath: path.join(dir, 'apikeys.json'),
+    youtubePath: path.join(dir, 'youtube.json')
+  };
 }
 
-function resetLiveState(reason) {
-  lastSeenMessageId = null;
-  nextPageToken = null;
-  activeLiveChatId = null;
-  activeBroadcast = null;
-  if (reason) {
-    broadcastEvent({ kind: 'status', level: 'warn', message: reason });
-  }
+function createTenantContext(slug) {
+  const paths = tenantPaths(slug);
+  const t = {
+    slug,
+    basePath: slug === DEFAULT_SLUG ? '' : `/t/${slug}`,
+    settingsPath: paths.settingsPath,
+    uploadsDir: paths.uploadsDir,
+    uploadedLogoBasePath: path.join(paths.uploadsDir, 'logo'),
+    recordingsDir: paths.recordingsDir,
+    // In-memory event fanout (good enough for single-instance hosting).
+    // If Railway scales to multiple instances, you'd need Redis or similar.
+    events: createEventStream({ bufferSize: SSE_BUFFER_SIZE, heartbeatMs: SSE_HEARTBEAT_MS }),
+    lastStatus: { kind: 'status', level: 'info', message: 'idle', ts: new Date().toISOString() }
+  };
+  ensureDir(t.uploadsDir);
+  t.settingsStore = createSettingsStore({ filePath: paths.settingsPath, historyPath: paths.settingsHistoryPath });
+  t.uploadsStatic = express.static(t.uploadsDir, {
+    fallthrough: true,
+    etag: true,
+    maxAge: '1h'
+  });
+  t.tokenStore = createTokenStore({ filePath: paths.tokensPath, secret: TOKEN_SECRET });
+  t.chatHistory = createChatHistory({ dir: paths.historyDir, retentionDays: CHAT_HISTORY_RETENTION_DAYS });
+  t.streamStats = createStreamStats({ dir: paths.statsDir });
+  t.chatFilter = createChatFilter({ filePath: paths.moderationPath });
+  t.media = createMediaLibrary({ dir: paths.mediaDir, quotaBytes: MEDIA_QUOTA_BYTES, maxFileBytes: MEDIA_MAX_FILE_BYTES });
+  t.timer = createTimer({ filePath: paths.timerPath, publish: (evt) => broadcastEvent(t, evt) });
+  t.goals = createGoals({ filePath: paths.goalsPath, publish: (evt) => broadcastEvent(t, evt) });
+  t.polls = createPolls({ filePath: paths.pollsPath, publish: (evt) => broadcastEvent(t, evt) });
+  t.polls.armEndTimer();
+  t.featured = createFeatured({ publish: (evt) => broadcastEvent(t, evt) });
+  // Every chat source adapter feeds the same pipeline (lib/chat-pipeline.js).
+  t.pipeline = createChatPipeline({
+    chatHistory: t.chatHistory,
+    chatFilter: t.chatFilter,
+    streamStats: t.streamStats,
+    polls: t.polls,
+    broadcastEvent: (evt) => broadcastEvent(t, evt),
+    onSupport: (alert) => countSupport(t, alert)
+  });
+  t.yt = createYouTubePoller({
+    tenant: slug,
+    tokenStore: t.tokenStore,
+    pipeline: t.pipeline,
+    streamStats: t.streamStats,
+    polls: t.polls,
+    quota: quotaBudget,
+    createOAuthClient,
+    oauthConfigured,
+    broadcastEvent: (evt) => broadcastEvent(t, evt),
+    onLiveEnded: (info) => t.ytSchedule.onLiveEnded(info),
+    config: {
+      // Turned on by the switch below (t.ytSchedule.start()).
+      enabled: false,
+      pollMs: YT_POLL_MS,
+      channelTtlMs: YT_CHANNEL_TTL_MS,
+      backoffMaxMs: YT_BACKOFF_MAX_MS,
+      refreshLeadMs: YT_TOKEN_REFRESH_LEAD_MS,
+      recordingsDir: paths.recordingsDir,
+      source: YT_SOURCE
+    }
+  });
+  t.ytSchedule = createYouTubeSchedule({
+    filePath: paths.youtubePath,
+    yt: t.yt,
+    quota: quotaBudget,
+    tenant: slug,
+    broadcastEvent: (evt) => broadcastEvent(t, evt),
+    onChange: () => t.automation?.notify('youtube'),
+    config: { ...YT_SCHEDULE, initialMode: YT_ENABLED ? 'on' : 'off' }
+  });
+  t.twitch = createTwitchChat({
+    filePath: paths.twitchPath,
+    pipeline: t.pipeline,
+    broadcastEvent: (evt) => broadcastEvent(t, evt),
+    config: TWITCH_IRC
+  });
+  t.hooks = createWebhooks({
+    filePath: paths.hooksPath,
+    publish: (evt) => {
+      broadcastEvent(t, evt);
+      countSupport(t, evt);
+    }
+  });
+  t.apiKeys = createApiKeys({ filePath: paths.apiKeysPath, scopes: SCOPES });
+  t.automation = createAutomation({ handlers: automationHandlers(t), isKeyActive: (id) => t.apiKeys.isActive(id) });
+  t.events.subscribe((evt) => t.automation.notify(evt?.kind));
+  // Announcements with a chat target are posted as system bubbles while fetching is ON.
+  t.announcer = createAnnouncementScheduler({
+    getItems: () => normalizeAnnouncements(readSettings(t).announcements),
+    isActive: () => t.yt.isEnabled(),
+    publish: (evt) => broadcastEvent(t, evt)
+  });
+  t.announcer.start();
+  return t;
 }
 
-function scheduleNextPoll(session, ms, reason) {
-  if (pollTimeout) clearTimeout(pollTimeout);
-  const delay = Math.max(1200, Number(ms) || 1200);
-  lastPollMsEffective = delay;
-  nextPollAt = new Date(Date.now() + delay).toISOString();
-  pollTimeout = setTimeout(() => pollLoop(session), delay);
-  if (reason) {
-    broadcastEvent({ kind: 'status', level: 'info', message: `次回ポーリング: ${Math.round(delay)}ms後（${reason}）` });
-  }
+function tenantTitle(slug) {
+  if (slug === DEFAULT_SLUG) return 'Default';
+  return tenantRegistry.get(slug)?.title || slug;
 }
 
-function stopPolling(reason) {
-  if (pollTimeout) {
-    clearTimeout(pollTimeout);
-    pollTimeout = null;
-  }
-  nextPollAt = null;
-  if (reason) {
-    broadcastEvent({ kind: 'status', level: 'warn', message: reason });
+function loadTenants() {
+  tenants.set(DEFAULT_SLUG, createTenantContext(DEFAULT_SLUG));
+  for (const rec of tenantRegistry.list()) {
+    tenants.set(rec.slug, createTenantContext(rec.slug));
   }
 }
 
-function broadcastEvent(evt) {
+// A real support event, once: new chat messages (lib/chat-pipeline.js) and
+// webhook deliveries (deduplicated in lib/webhooks.js) can extend a running
+// countdown and count toward the supporter goals.
+function countSupport(t, alert) {
+  try { t.timer.onSupport(alert); } catch (_) { /* ignore */ }
+  try { t.goals.onSupport(alert); } catch (_) { /* ignore */ }
+}
+
+function broadcastEvent(t, evt) {
   // Keep last status for debugging UIs
   if (evt?.kind === 'status') {
-    lastStatus = { ...evt, ts: new Date().toISOString() };
+    t.lastStatus = { ...evt, ts: new Date().toISOString() };
   }
-  const payload = `event: yt\ndata: ${escapeSseData(evt)}\n\n`;
-  for (const res of sseClients) {
-    try { res.write(payload); } catch (_) { /* ignore */ }
+  t.events.publish(evt);
+  // A hidden message (or blocked author) must not stay featured either.
+  if (evt?.kind === 'retract') {
+    try { t.featured.onRetract(evt); } catch (_) { /* ignore */ }
   }
 }
 
-async function getLiveChatId(youtube) {
-  // Find the channel's active live broadcast and return liveChatId.
-  // Note: This requires the authorized account to have access.
-  // IMPORTANT: `mine` and `broadcastStatus` are incompatible in YouTube Data API.
-  // Use `status=active` instead.
-  // Ref: error "Incompatible parameters specified in the request: mine, broadcastStatus"
-  const list = await youtube.liveBroadcasts.list({
-    part: ['snippet'],
-    mine: true,
-    status: 'active',
-    maxResults: 5
-  });
-  const items = list.data.items || [];
-  const active = items[0];
-  activeBroadcast = active ? {
-    id: active.id,
-    title: active?.snippet?.title || ''
-  } : null;
-  return active?.snippet?.liveChatId || null;
-}
-
-async function getAuthedChannel(youtube) {
-  const resp = await youtube.channels.list({
-    part: ['snippet'],
-    mine: true,
-    maxResults: 5
-  });
-  const items = resp.data.items || [];
-  const ch = items[0];
-  return ch ? { id: ch.id, title: ch?.snippet?.title || '' } : null;
-}
-
-function classifySpecialEvent(item) {
-  // liveChatMessage resource fields:
-  // https://developers.google.com/youtube/v3/live/docs/liveChatMessage
-  const details = item?.snippet?.superChatDetails;
-  const member = item?.snippet?.newSponsorDetails;
-
-  if (details) {
-    return {
-      type: 'superchat',
-      amount: details.amountDisplayString,
-      tier: details.tier
-    };
-  }
-
-  if (member) {
-    // Membership (new/upgrade). Gift events are NOT reliably exposed via this endpoint.
-    return {
-      type: 'membership',
-      level: member.membershipLevelName
-    };
-  }
-
-  // Best-effort: infer membership gift events from system messages.
-  // This is NOT guaranteed and can break with locale/format changes.
-  // We intentionally keep patterns broad but not too broad.
-  const msg = String(item?.snippet?.displayMessage || '').trim();
-  if (msg) {
-    const patterns = [
-      // English (examples vary)
-      /gift(ed)?\s+\d+\s+memberships?/i,
-      /gift(ed)?\s+a\s+membership/i,
-      /gave\s+\d+\s+memberships?/i,
-      /sent\s+\d+\s+membership\s+gifts?/i,
-      // Japanese (examples vary)
-      /メンバーシップ\s*ギフト/i,
-      /メンバーシップを\s*\d+\s*件\s*ギフト/i,
-      /\d+\s*件のメンバーシップ(を)?\s*ギフト/i,
-      /メンバーシップをギフトしました/i,
-      /メンバーシップ\s*\d+\s*個\s*ギフト/i,
-    ];
-    if (patterns.some((re) => re.test(msg))) {
-      return { type: 'gift', message: msg };
-    }
-  }
+loadTenants();
 
-  return null;
-}
+// Shared by all tenants (avatars are public images, keyed by URL).
+const avatarProxy = createAvatarProxy({ dir: path.join(dataDir, 'avatar-cache') });
 
-async function pollLiveChat(oauthTokens) {
-  if (!oauthConfigured) return;
-  if (!oauthTokens) return;
+// ===== Global routes (shared by all tenants) =====
+// Static assets (logo, bottom bar image, etc.)
+app.use('/assets', express.static(path.join(rootDir, 'assets'), {
+  fallthrough: true,
+  etag: true,
+  maxAge: '1h'
+}));
 
-  lastPollAt = nowIso();
+// Default logo alias (requested): expose assets/logo.jpg at /logo.jpg
+app.get('/logo.jpg', (_req, res) => {
+  res.sendFile(path.join(rootDir, 'assets', 'logo.jpg'));
+});
 
-  const auth = createOAuthClient();
-  auth.setCredentials(oauthTokens);
-  const youtube = google.youtube({ version: 'v3', auth });
+// Basic health endpoint (Railway/uptime checks)
+app.get('/health', (_req, res) => {
+  res.status(200).json({ ok: true, ts: new Date().toISOString() });
+});
 
-  // Cache which channel is actually authorized (helps debugging)
-  const shouldRefreshChannel = !authedChannelAt || (Date.now() - new Date(authedChannelAt).getTime()) > YT_CHANNEL_TTL_MS;
-  if (!authedChannel || shouldRefreshChannel) {
-    try {
-      authedChannel = await getAuthedChannel(youtube);
-      authedChannelAt = nowIso();
-      if (authedChannel?.title) {
-        broadcastEvent({ kind: 'status', level: 'info', message: `認可チャンネル: ${authedChannel.title}` });
-      }
-    } catch (e) {
-      const info = summarizeGoogleApiError(e);
-      broadcastEvent({
-        kind: 'status',
-        level: 'warn',
-        message: `channels.list failed: ${info.status ?? '-'} ${info.reason ?? ''} ${info.message}`.trim()
-      });
-
-      // Best-effort refresh: if access token expired but refresh_token exists, refresh once.
-      // cookie-session stores tokens; we update the in-memory object so later calls can succeed.
-      if (oauthTokens?.refresh_token) {
-        try {
-          const refreshed = await auth.refreshAccessToken();
-          if (refreshed?.credentials) {
-            oauthTokens.access_token = refreshed.credentials.access_token || oauthTokens.access_token;
-            oauthTokens.expiry_date = refreshed.credentials.expiry_date || oauthTokens.expiry_date;
-            // Note: refresh_token usually isn't returned again.
-            broadcastEvent({ kind: 'status', level: 'info', message: 'アクセストークンを更新しました（retry）' });
-            // Retry channel lookup once
-            authedChannel = await getAuthedChannel(youtube);
-            authedChannelAt = nowIso();
-            if (authedChannel?.title) {
-              broadcastEvent({ kind: 'status', level: 'info', message: `認可チャンネル: ${authedChannel.title}` });
-            }
-          }
-        } catch (e2) {
-          const info2 = summarizeGoogleApiError(e2);
-          broadcastEvent({
-            kind: 'status',
-            level: 'warn',
-            message: `token refresh failed: ${info2.status ?? '-'} ${info2.reason ?? ''} ${info2.message}`.trim()
-          });
-        }
-      }
-    }
+// OAuth has a single redirect URL; the tenant comes from the session state
+// written by /api/auth/start.
+app.get('/api/auth/callback', async (req, res) => {
+  if (!oauthConfigured) {
+    res.status(500).send('OAuth env vars are not configured.');
+    return;
   }
-
-  // Ensure chat id
-  if (!activeLiveChatId) {
-    activeLiveChatId = await getLiveChatId(youtube);
-    if (!activeLiveChatId) {
-      broadcastEvent({ kind: 'status', level: 'warn', message: '配信中のライブが見つかりません（liveBroadcasts.list）' });
-      return;
-    }
-    broadcastEvent({ kind: 'status', level: 'info', message: 'ライブチャットIDを取得しました' });
+  const code = req.query.code;
+  if (!code) {
+    res.status(400).send('Missing code');
+    return;
   }
-
-  broadcastEvent({ kind: 'status', level: 'info', message: 'YouTubeコメントを取得中…' });
-
-  const resp = await youtube.liveChatMessages.list({
-    liveChatId: activeLiveChatId,
-    part: ['snippet', 'authorDetails'],
-    maxResults: 200,
-    pageToken: nextPageToken || undefined
-  });
-
-  const items = resp.data.items || [];
-
-  // For incremental polling, the API returns a token to get the next page of new messages.
-  // Using this is more reliable than manual lastSeen scanning.
-  nextPageToken = resp.data.nextPageToken || nextPageToken;
-
-  // Display messages in chronological order. The list can be newest-first.
-  const toProcess = items.slice().reverse();
-
-  for (const item of toProcess) {
-    const id = item.id;
-
-    const name = item?.authorDetails?.displayName || 'Someone';
-    const text = String(item?.snippet?.displayMessage || '').trim();
-
-  const isOwner = Boolean(item?.authorDetails?.isChatOwner);
-  const isMod = Boolean(item?.authorDetails?.isChatModerator);
-  const isMember = Boolean(item?.authorDetails?.isChatSponsor);
-  const role = isOwner ? 'owner' : (isMod ? 'mod' : (isMember ? 'member' : ''));
-
-    // Always broadcast normal chat messages (best-effort)
-    if (text) {
-      broadcastEvent({
-        kind: 'chat',
-        id,
-        name,
-        text,
-        role,
-        isOwner,
-        isMod,
-        isMember,
-        publishedAt: item?.snippet?.publishedAt || null
-      });
-    }
-
-    const special = classifySpecialEvent(item);
-    if (special) {
-      if (special.type === 'superchat') {
-        broadcastEvent({
-          kind: 'toast',
-          type: 'superchat',
-          title: 'SUPER CHAT',
-          body: `${name}：${special.amount}  ${text}`.trim(),
-          ms: 9000
-        });
-      } else if (special.type === 'membership') {
-        broadcastEvent({
-          kind: 'toast',
-          type: 'membership',
-          title: 'MEMBERSHIP',
-          body: `${name}：メンバーになりました${special.level ? `（${special.level}）` : ''}`,
-          ms: 9000
-        });
-      } else if (special.type === 'gift') {
-        // Best-effort inferred gift message
-        broadcastEvent({
-          kind: 'toast',
-          type: 'gift',
-          title: 'GIFT',
-          body: `${name}：${special.message}`,
-          ms: 9000
-        });
-      }
-    }
+  const expected = req.session?.oauthState;
+  if (!expected?.nonce || String(req.query.state || '') !== expected.nonce) {
+    res.status(400).send('Invalid state (please start again from /control)');
+    return;
   }
-
-  if (items.length > 0) {
-    // newest is first in original list
-    lastSeenMessageId = items[0].id;
+  req.session.oauthState = null;
+  const t = tenants.get(expected.slug);
+  if (!t) {
+    res.status(404).send('Unknown tenant');
+    return;
   }
 
-  const pollMsFromApi = Number(resp?.data?.pollingIntervalMillis || 0);
-  broadcastEvent({ kind: 'status', level: 'info', message: `取得完了（items=${items.length} / next=${nextPageToken ? 'yes' : 'no'} / apiPoll=${pollMsFromApi || '-'}ms）` });
+  let tokens = null;
+  try {
+    const auth = createOAuthClient();
+    ({ tokens } = await auth.getToken(String(code)));
+  } catch (e) {
+    const info = summarizeGoogleApiError(e);
+    // eslint-disable-next-line no-console
+    console.error('[auth] token exchange failed', t.slug, info);
+    res.status(502).send(`Token exchange failed: ${info.message}`);
+    return;
+  }
+  t.yt.authorize(tokens);
+  res.redirect(`${t.basePath}/control`);
+});
 
+// ---- Admin (deployment owner): tenant list / create / delete ----
+function tenantSummary(t) {
+  const yt = t.yt.state();
+  const token = t.tokenStore.status();
+  const rec = tenantRegistry.get(t.slug);
   return {
-    pollMsFromApi: pollMsFromApi || null
+    slug: t.slug,
+    title: tenantTitle(t.slug),
+    basePath: t.basePath,
+    createdAt: rec?.createdAt || null,
+    hasOwnControlAuth: Boolean(rec?.controlPassHash),
+    authed: token.stored && !token.needsReauth,
+    needsReauth: token.needsReauth,
+    ytEnabled: yt.ytEnabled,
+    ytMode: t.ytSchedule.state().mode,
+    polling: yt.polling,
+    activeBroadcast: yt.activeBroadcast,
+    authedChannel: yt.authedChannel,
+    sseClients: t.events.size(),
+    lastStatus: t.lastStatus
   };
 }
 
-async function pollLoop(session) {
-  if (!ytEnabled) {
-    stopPolling('YouTubeコメント取得: OFF');
-    return;
-  }
-  // If quota exceeded backoff is active, stop until backoff expires.
-  if (backoffUntil && Date.now() < new Date(backoffUntil).getTime()) {
-    scheduleNextPoll(session, new Date(backoffUntil).getTime() - Date.now(), 'quota backoff');
+app.get('/admin', requireAdmin, (_req, res) => {
+  res.sendFile(path.join(rootDir, 'admin.html'));
+});
+
+app.get('/api/admin/tenants', requireAdmin, (_req, res) => {
+  res.json({ tenants: Array.from(tenants.values()).map(tenantSummary) });
+});
+
+app.post('/api/admin/tenants', requireAdmin, express.json({ limit: '8kb' }), (req, res) => {
+  const b = req.body || {};
+  const controlUser = typeof b.controlUser === 'string' ? b.controlUser.trim() : '';
+  const controlPass = typeof b.controlPass === 'string' ? b.controlPass : '';
+  if (Boolean(controlUser) !== Boolean(controlPass)) {
+    res.status(400).json({ ok: false, error: 'control_credentials_incomplete' });
     return;
   }
-
+  let rec = null;
   try {
-    const r = await pollLiveChat(session?.oauthTokens);
-    // Success: reset backoff
-    backoffUntil = null;
-    backoffMs = 0;
-
-    const apiMs = Number(r?.pollMsFromApi || 0);
-    // Prefer YouTube's suggested interval; fall back to env.
-    const baseMs = Math.max(1200, YT_POLL_MS);
-    const nextMs = apiMs > 0 ? Math.max(baseMs, apiMs) : baseMs;
-    scheduleNextPoll(session, nextMs, apiMs > 0 ? 'api interval' : 'env interval');
+    rec = tenantRegistry.add({
+      slug: b.slug,
+      title: typeof b.title === 'string' ? b.title.trim() : '',
+      controlUser,
+      controlPass
+    });
   } catch (e) {
-    const quota = isQuotaExceededError(e);
-    const chatClosed = isChatNoLongerLiveError(e);
-    const msg = `poll error: ${e?.message || e}`;
-    broadcastEvent({ kind: 'status', level: (quota || chatClosed) ? 'error' : 'warn', message: msg });
-
-    if (chatClosed) {
-      // The broadcast ended or the chatId became invalid.
-      // Reset state so next loop will re-detect an active broadcast.
-      resetLiveState('ライブチャットが終了しました（再検出します）');
-      // Slow down a bit to avoid hammering.
-      scheduleNextPoll(session, Math.max(15_000, Math.max(1200, YT_POLL_MS)), 'chat ended');
-      return;
-    }
-
-    if (quota) {
-      // Exponential backoff up to max.
-      backoffMs = backoffMs ? Math.min(backoffMs * 2, YT_BACKOFF_MAX_MS) : Math.min(60_000, YT_BACKOFF_MAX_MS);
-      backoffUntil = new Date(Date.now() + backoffMs).toISOString();
-      broadcastEvent({ kind: 'status', level: 'warn', message: `クォータ超過のため一時停止します（${Math.round(backoffMs / 1000)}秒）` });
-      scheduleNextPoll(session, backoffMs, 'quota backoff');
-      return;
-    }
-
-    // Non-quota: wait a bit and retry
-  scheduleNextPoll(session, Math.max(15_000, Math.max(1200, YT_POLL_MS)), 'retry');
+    res.status(400).json({ ok: false, error: e?.code || 'invalid_request' });
+    return;
   }
-}
+  const t = createTenantContext(rec.slug);
+  tenants.set(rec.slug, t);
+  t.yt.start();
+  t.ytSchedule.start();
+  t.twitch.start();
+  res.json({ ok: true, tenant: tenantSummary(t) });
+});
 
-function ensurePolling(session) {
-  if (!ytEnabled) return;
-  if (pollTimeout) return;
-  scheduleNextPoll(session, Math.max(1200, YT_POLL_MS), 'start');
-}
+// Stops the tenant and removes it from the registry. Files under
+// DATA_DIR/tenants/<slug>/ are kept so an accidental delete can be undone.
+app.delete('/api/admin/tenants/:slug', requireAdmin, (req, res) => {
+  const slug = String(req.params.slug || '');
+  if (slug === DEFAULT_SLUG || !tenantRegistry.get(slug)) {
+    res.status(404).json({ ok: false, error: 'not_found' });
+    return;
+  }
+  const t = tenants.get(slug);
+  if (t) {
+    t.ytSchedule.shutdown();
+    t.yt.shutdown();
+    t.twitch.shutdown();
+    t.announcer.stop();
+    t.polls.stop();
+    t.featured.stop();
+    t.automation.close();
+    t.events.close();
+    tenants.delete(slug);
+  }
+  tenantRegistry.remove(slug);
+  res.json({ ok: true });
+});
 
-// Static assets (logo, bottom bar image, etc.)
-app.use('/assets', express.static(path.join(rootDir, 'assets'), {
-  fallthrough: true,
-  etag: true,
-  maxAge: '1h'
-}));
+// ===== Tenant routes =====
+// Mounted twice: at / for the default tenant and at /t/:slug for the others.
+// Handlers read everything tenant-specific from req.tenant.
+const tenantRouter = express.Router();
 
 // Uploaded assets (admin-managed, e.g. logo)
-ensureUploadsDir();
-app.use('/uploads', express.static(uploadsDir, {
-  fallthrough: true,
-  etag: true,
-  maxAge: '1h'
-}));
-
-// Default logo alias (requested): expose assets/logo.jpg at /logo.jpg
-app.get('/logo.jpg', (_req, res) => {
-  res.sendFile(path.join(rootDir, 'assets', 'logo.jpg'));
-});
+tenantRouter.use('/uploads', (req, res, next) => req.tenant.uploadsStatic(req, res, next));
 
 // ---- Admin upload endpoints ----
 // Upload a logo image and expose it at /uploads/logo (no extension).
+// With ?profile=<id> (other than "default") the logo belongs to that profile
+// and is exposed at /uploads/logo-<id>.
 // Control auth required.
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -606,7 +650,18 @@ const upload = multer({
   }
 });
 
-app.post('/api/upload/logo', requireControl, upload.single('logo'), (req, res) => {
+function logoBasePath(t, profileId) {
+  return (!profileId || profileId === DEFAULT_PROFILE_ID) ? t.uploadedLogoBasePath : `${t.uploadedLogoBasePath}-${profileId}`;
+}
+
+tenantRouter.post('/api/upload/logo', requireControl, upload.single('logo'), (req, res) => {
+  const t = req.tenant;
+  const profileId = typeof req.query.profile === 'string' && req.query.profile ? req.query.profile : null;
+  if (profileId && !isValidProfileId(profileId)) {
+    res.status(400).json({ ok: false, error: 'invalid_profile_id' });
+    return;
+  }
+  const basePath = logoBasePath(t, profileId);
   try {
     const f = req.file;
     if (!f || !f.buffer) {
@@ -614,75 +669,162 @@ app.post('/api/upload/logo', requireControl, upload.single('logo'), (req, res) =
       return;
     }
 
-    const mime = String(f.mimetype || '').toLowerCase();
-    const allowed = new Set(['image/png', 'image/jpeg', 'image/jpg', 'image/webp', 'image/gif']);
-    if (!allowed.has(mime)) {
-      res.status(400).json({ ok: false, error: 'unsupported_type', mime });
+    // Decide the type from the file's magic bytes, not the client's mimetype.
+    const type = sniffMedia(f.buffer);
+    if (!type || type.kind !== 'image') {
+      res.status(400).json({ ok: false, error: 'unsupported_type', mime: String(f.mimetype || '') });
       return;
     }
+    const { mime, ext } = type;
 
-    const extByMime = {
-      'image/png': '.png',
-      'image/jpeg': '.jpg',
-      'image/jpg': '.jpg',
-      'image/webp': '.webp',
-      'image/gif': '.gif'
-    };
-    const ext = extByMime[mime] || '';
-
-    ensureUploadsDir();
+    ensureDir(t.uploadsDir);
 
     // Remove old logo variants so only one exists.
-    for (const e of Object.values(extByMime)) {
-      const p = uploadedLogoBasePath + e;
+    for (const e of ['.png', '.jpg', '.webp', '.gif']) {
+      const p = basePath + e;
       try { if (fs.existsSync(p)) fs.unlinkSync(p); } catch (_) { /* ignore */ }
     }
 
-    const filePath = uploadedLogoBasePath + ext;
+    const filePath = basePath + ext;
     fs.writeFileSync(filePath, f.buffer);
 
     // Cache-busting URL so clients update immediately.
-    const url = `/uploads/logo?v=${Date.now()}`;
+    const url = `${t.basePath}/uploads/${path.basename(basePath)}?v=${Date.now()}`;
     res.status(200).json({ ok: true, url, mime });
   } catch (e) {
     // eslint-disable-next-line no-console
-    console.error('[upload] logo failed', e);
+    console.error('[upload] logo failed', t.slug, e);
     res.status(500).json({ ok: false, error: 'internal_error' });
   }
 });
 
 // Stable logo URL that redirects to the actual file with extension.
 // This makes the browser infer the right content-type/decoder reliably.
-app.get('/uploads/logo', (_req, res) => {
+tenantRouter.get(['/uploads/logo', '/uploads/logo-:profile'], (req, res) => {
+  const t = req.tenant;
   try {
-    const candidates = ['.png', '.jpg', '.webp', '.gif'].map((e) => uploadedLogoBasePath + e);
+    const profileId = req.params.profile;
+    if (profileId !== undefined && !isValidProfileId(profileId)) {
+      res.status(404).send('not found');
+      return;
+    }
+    const basePath = logoBasePath(t, profileId);
+    const candidates = ['.png', '.jpg', '.webp', '.gif'].map((e) => basePath + e);
     const found = candidates.find((p) => fs.existsSync(p));
     if (!found) {
       res.status(404).send('not found');
       return;
     }
-    const ext = path.extname(found);
-    res.redirect(302, `/uploads/logo${ext}`);
+    res.redirect(302, `${t.basePath}/uploads/${path.basename(found)}`);
   } catch (_) {
     res.status(500).send('internal_error');
   }
 });
 
+// ---- Alert media library (images / sounds for alerts) ----
+function mediaSummary(t, m) {
+  return { ...m, url: `${t.basePath}/media/${m.id}` };
+}
+
+function isKnownMedia(t) {
+  return (id, kind) => t.media.get(id)?.kind === kind;
+}
+
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_MAX_FILE_BYTES, files: 1 }
+});
+
+tenantRouter.get('/api/media', requireControl, (req, res) => {
+  const t = req.tenant;
+  res.json({ ok: true, items: t.media.list().map((m) => mediaSummary(t, m)), usage: t.media.usage() });
+});
+
+tenantRouter.post('/api/media', requireControl, (req, res, next) => {
+  mediaUpload.single('file')(req, res, (err) => {
+    if (err?.code === 'LIMIT_FILE_SIZE') {
+      res.status(400).json({ ok: false, error: 'file_too_large' });
+      return;
+    }
+    if (err) {
+      next(err);
+      return;
+    }
+    const t = req.tenant;
+    try {
+      const name = req.body?.name || req.file?.originalname || '';
+      const item = t.media.add({ buffer: req.file?.buffer, name });
+      res.json({ ok: true, item: mediaSummary(t, item), usage: t.media.usage() });
+    } catch (e) {
+      if (e?.code) {
+        res.status(400).json({ ok: false, error: e.code });
+        return;
+      }
+      next(e);
+    }
+  });
+});
+
+tenantRouter.post('/api/media/:id/rename', requireControl, express.json(), (req, res) => {
+  const t = req.tenant;
+  const item = t.media.rename(String(req.params.id), req.body?.name);
+  if (!item) {
+    res.status(404).json({ ok: false, error: 'not_found' });
+    return;
+  }
+  res.json({ ok: true, item: mediaSummary(t, item) });
+});
+
+tenantRouter.delete('/api/media/:id', requireControl, (req, res) => {
+  const t = req.tenant;
+  if (!t.media.remove(String(req.params.id))) {
+    res.status(404).json({ ok: false, error: 'not_found' });
+    return;
+  }
+  // Drop bindings that pointed at the deleted file.
+  const settings = readSettings(t);
+  if (settings.alertMedia) {
+    settings.alertMedia = normalizeAlertMedia(settings.alertMedia, isKnownMedia(t));
+    writeSettings(t, settings, settingsChange(req, 'media-delete'));
+    broadcastSettings(t);
+  }
+  res.json({ ok: true, usage: t.media.usage() });
+});
+
+// Public: the overlay loads alert images/sounds from here.
+tenantRouter.get('/media/:id', (req, res) => {
+  const t = req.tenant;
+  const item = t.media.get(String(req.params.id));
+  if (!item) {
+    res.status(404).send('not found');
+    return;
+  }
+  res.setHeader('Content-Type', item.mime);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  res.sendFile(t.media.filePath(item));
+});
+
 // ---- Auth endpoints ----
-app.get('/api/auth/status', (req, res) => {
+function authStatusSummary(t) {
+  const s = t.tokenStore.status();
+  return {
+    authed: s.stored && !s.needsReauth,
+    needsReauth: s.needsReauth,
+    reauthReason: s.reauthReason
+  };
+}
+
+tenantRouter.get('/api/auth/status', (req, res) => {
   res.json({
     oauthConfigured,
-    authed: Boolean(req.session?.oauthTokens),
+    ...authStatusSummary(req.tenant),
     redirectUrl: YT_REDIRECT_URL ? true : false
   });
 });
 
-// Basic health endpoint (Railway/uptime checks)
-app.get('/health', (_req, res) => {
-  res.status(200).json({ ok: true, ts: new Date().toISOString() });
-});
-
-app.get('/api/auth/start', (req, res) => {
+// Tokens are shared by every overlay of the tenant, so only its control user may (re)authorize.
+tenantRouter.get('/api/auth/start', requireControl, (req, res) => {
   if (!oauthConfigured) {
     res.status(500).send('OAuth env vars are not configured. Please set YT_CLIENT_ID / YT_CLIENT_SECRET / YT_REDIRECT_URL.');
     return;
@@ -691,144 +833,576 @@ app.get('/api/auth/start', (req, res) => {
   const scopes = [
     'https://www.googleapis.com/auth/youtube.readonly'
   ];
+  // CSRF protection for the callback (which is not behind Basic auth).
+  const nonce = crypto.randomBytes(16).toString('hex');
+  req.session.oauthState = { nonce, slug: req.tenant.slug };
   const url = auth.generateAuthUrl({
     access_type: 'offline',
     prompt: 'consent',
-    scope: scopes
+    scope: scopes,
+    state: nonce
   });
   res.redirect(url);
 });
 
-app.get('/api/auth/callback', async (req, res) => {
-  if (!oauthConfigured) {
-    res.status(500).send('OAuth env vars are not configured.');
-    return;
-  }
-  const code = req.query.code;
-  if (!code) {
-    res.status(400).send('Missing code');
-    return;
-  }
-  const auth = createOAuthClient();
-  const { tokens } = await auth.getToken(String(code));
-  req.session.oauthTokens = tokens;
-  // Reset polling markers
-  lastSeenMessageId = null;
-  activeLiveChatId = null;
-  nextPageToken = null;
-  authedChannel = null;
-  activeBroadcast = null;
-  authedChannelAt = null;
-  backoffUntil = null;
-  backoffMs = 0;
-  // Start polling only if enabled
-  ensurePolling(req.session);
-  res.redirect('/');
-});
-
-app.get('/api/auth/logout', (req, res) => {
+tenantRouter.get('/api/auth/logout', requireControl, (req, res) => {
   req.session = null;
-  lastSeenMessageId = null;
-  activeLiveChatId = null;
-  nextPageToken = null;
-  authedChannel = null;
-  activeBroadcast = null;
-  authedChannelAt = null;
-  backoffUntil = null;
-  backoffMs = 0;
-  stopPolling('ログアウトしました（polling停止）');
-  res.redirect('/');
+  req.tenant.yt.logout();
+  res.redirect(`${req.tenant.basePath}/control`);
 });
 
-// ---- Manual YouTube polling switch ----
-app.get('/api/yt/enabled', (_req, res) => {
-  res.json({ ytEnabled });
+// ---- YouTube polling switch (off / on / auto, kept across restarts) ----
+tenantRouter.get('/api/yt/enabled', (req, res) => {
+  res.json({ ytEnabled: req.tenant.yt.isEnabled(), mode: req.tenant.ytSchedule.state().mode });
 });
 
-app.post('/api/yt/enabled', requireControl, express.json(), (req, res) => {
-  const enabled = Boolean(req.body?.enabled);
-  ytEnabled = enabled;
+tenantRouter.post('/api/yt/enabled', requireControl, express.json(), (req, res) => {
+  const { mode } = req.tenant.ytSchedule.setMode(req.body?.enabled ? 'on' : 'off');
+  res.json({ ytEnabled: req.tenant.yt.isEnabled(), mode });
+});
 
-  if (!ytEnabled) {
-    backoffUntil = null;
-    backoffMs = 0;
-    resetLiveState('YouTubeコメント取得をOFFにしました');
-    stopPolling('YouTubeコメント取得: OFF');
-  } else {
-    backoffUntil = null;
-    backoffMs = 0;
-    resetLiveState('YouTubeコメント取得をONにしました（再検出します）');
+tenantRouter.post('/api/yt/mode', requireControl, express.json(), (req, res) => {
+  try {
+    res.json({ ok: true, schedule: req.tenant.ytSchedule.setMode(String(req.body?.mode || '')) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e?.code || 'invalid_request' });
   }
-
-  res.json({ ytEnabled });
 });
 
-// ---- Overlay settings (saved) ----
-// GET is public so overlay clients can read the saved defaults.
-app.get('/api/settings', (_req, res) => {
-  res.json(readSettings());
+// The next scheduled broadcast may still be private / unlisted: control only
+// (not in the public /api/yt/state).
+tenantRouter.get('/api/yt/schedule', requireControl, (req, res) => {
+  res.json({ ok: true, schedule: req.tenant.ytSchedule.state() });
 });
 
-// POST requires control token.
-app.post('/api/settings', requireControl, express.json({ limit: '64kb' }), (req, res) => {
-  const b = req.body || {};
+// Looks up upcoming broadcasts now (1 quota unit).
+tenantRouter.post('/api/yt/schedule/check', requireControl, async (req, res) => {
+  try {
+    res.json({ ok: true, schedule: await req.tenant.ytSchedule.checkNow() });
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error('[yt-schedule] check failed', req.tenant.slug, e);
+    res.status(500).json({ ok: false, error: 'internal_error' });
+  }
+});
 
-  // Keep it intentionally small/safe: only allow expected keys.
-  const next = {
-    announce: typeof b.announce === 'string' ? b.announce : '',
-    xid: typeof b.xid === 'string' ? b.xid : '',
-    fanart: typeof b.fanart === 'string' ? b.fanart : '',
-    logo: typeof b.logo === 'string' ? b.logo : '',
-    logoZoom: typeof b.logoZoom === 'number' ? b.logoZoom : (typeof b.logoZoom === 'string' ? Number(b.logoZoom) : undefined),
-    chat: typeof b.chat === 'string' ? b.chat : ''
-  };
-  if (!Number.isFinite(next.logoZoom)) delete next.logoZoom;
+// ---- Chat source (YouTube / simulator / replay, optional recording) ----
+tenantRouter.get('/api/yt/source', requireControl, (req, res) => {
+  const t = req.tenant;
+  res.json({ ...t.yt.state().source, recordings: listRecordings(t.recordingsDir) });
+});
 
-  writeSettings(next);
-  res.json({ ok: true, settings: next });
+tenantRouter.post('/api/yt/source', requireControl, express.json(), (req, res) => {
+  const t = req.tenant;
+  const b = req.body || {};
+  try {
+    t.yt.setSource({
+      mode: typeof b.mode === 'string' ? b.mode : undefined,
+      ratePerMin: b.ratePerMin !== undefined ? Number(b.ratePerMin) : undefined,
+      replayFile: typeof b.replayFile === 'string' && b.replayFile ? b.replayFile : undefined,
+      speed: b.speed !== undefined ? Number(b.speed) : undefined,
+      loop: b.loop !== undefined ? Boolean(b.loop) : undefined,
+      record: b.record !== undefined ? Boolean(b.record) : undefined
+    });
+  } catch (e) {
+    if (e?.code) {
+      res.status(400).json({ ok: false, error: e.code });
+      return;
+    }
+    throw e;
+  }
+  t.ytSchedule.onSourceChanged();
+  res.json({ ok: true, ...t.yt.state().source, recordings: listRecordings(t.recordingsDir) });
 });
 
-// ---- Debug state endpoint (for preview UI) ----
-app.get('/api/yt/state', (req, res) => {
+// ---- More chat sources (simulcast, see lib/chat-pipeline.js) ----
+tenantRouter.get('/api/sources', requireControl, (req, res) => {
+  const t = req.tenant;
+  const yt = t.yt.state();
   res.json({
-    oauthConfigured,
-    authed: Boolean(req.session?.oauthTokens),
-    hasRefreshToken: Boolean(req.session?.oauthTokens?.refresh_token),
-    ytEnabled,
-    pollMs: Math.max(1200, YT_POLL_MS),
-    pollMsEffective: lastPollMsEffective,
-    polling: Boolean(pollTimeout),
-    nextPollAt,
-    backoffUntil,
-    sseClients: sseClients.size,
-    authedChannel,
-    authedChannelAt,
-    activeBroadcast,
-    activeLiveChatId: activeLiveChatId || null,
-    lastSeenMessageId: lastSeenMessageId || null,
-    lastPollAt,
-    lastStatus
+    youtube: { enabled: yt.ytEnabled, mode: yt.source.mode, broadcast: yt.activeBroadcast },
+    twitch: t.twitch.state()
   });
 });
 
-// ---- Diagnostics endpoint (preview/debug) ----
-// Returns structured details to quickly identify why authedChannel stays '-' or why live isn't detected.
-// This endpoint does NOT expose raw tokens.
-app.get('/api/yt/diagnose', async (req, res) => {
-  const tokens = req.session?.oauthTokens;
-  if (!oauthConfigured) {
-    res.status(200).json({
-      ok: false,
-      reason: 'oauth_not_configured',
-      oauthConfigured,
-      ytEnabled,
+// { enabled, channel }
+tenantRouter.post('/api/sources/twitch', requireControl, express.json(), (req, res) => {
+  try {
+    res.json({ ok: true, twitch: req.tenant.twitch.configure(req.body || {}) });
+  } catch (e) {
+    if (e?.code) {
+      res.status(400).json({ ok: false, error: e.code });
+      return;
+    }
+    throw e;
+  }
+});
+
+// Generic adapter: any bot / bridge can post messages in the normalized shape.
+// { messages: [{ platform?, id?, type?, name, text, ... }], broadcast?: { id, title } }
+// (a single message object is accepted too). Messages without a broadcast are
+// stored under one "custom-YYYYMMDD" broadcast per day.
+const MAX_POSTED_MESSAGES = 100;
+tenantRouter.post('/api/chat/messages', requireControl, express.json({ limit: '256kb' }), (req, res) => {
+  const b = req.body || {};
+  const list = Array.isArray(b.messages) ? b.messages : [b];
+  if (!list.length || list.length > MAX_POSTED_MESSAGES) {
+    res.status(400).json({ ok: false, error: 'too_many_messages' });
+    return;
+  }
+  const messages = [];
+  for (let i = 0; i < list.length; i++) {
+    try {
+      messages.push(normalizeMessage(list[i]));
+    } catch (e) {
+      res.status(400).json({ ok: false, error: e.code || 'invalid_message', index: i });
+      return;
+    }
+  }
+  const id = String(b.broadcast?.id || '').replace(/[^A-Za-z0-9_-]/g, '').slice(0, 64)
+    || `custom-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}`;
+  const title = String(b.broadcast?.title || '').replace(/[\r\n\t]+/g, ' ').trim().slice(0, 120) || 'Custom';
+  req.tenant.pipeline.ingest({ id, title, source: 'custom' }, messages);
+  res.json({ ok: true, accepted: messages.length });
+});
+
+// ---- Inbound alert webhooks (lib/webhooks.js) ----
+// Public, but every delivery must carry a valid signature (or Ko-fi's
+// verification token). The raw body is needed for the HMAC.
+tenantRouter.post('/api/hooks/:provider', express.raw({ type: () => true, limit: '64kb' }), (req, res) => {
+  try {
+    const out = req.tenant.hooks.receive(String(req.params.provider), {
+      headers: req.headers,
+      rawBody: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0),
+      contentType: req.get('content-type')
+    });
+    res.json({ ok: true, duplicate: out.duplicate });
+  } catch (e) {
+    if (e?.code) {
+      res.status(e.status || 400).json({ ok: false, error: e.code });
+      return;
+    }
+    throw e;
+  }
+});
+
+tenantRouter.get('/api/hooks', requireControl, (req, res) => {
+  res.json(req.tenant.hooks.state());
+});
+
+// { enabled, secret } or { rotate: true } (issues a new random secret)
+tenantRouter.post('/api/hooks/:provider/config', requireControl, express.json(), (req, res) => {
+  try {
+    res.json({ ok: true, hook: req.tenant.hooks.configure(String(req.params.provider), req.body || {}) });
+  } catch (e) {
+    if (e?.code) {
+      res.status(400).json({ ok: false, error: e.code });
+      return;
+    }
+    throw e;
+  }
+});
+
+tenantRouter.delete('/api/hooks/log', requireControl, (req, res) => {
+  req.tenant.hooks.clearLog();
+  res.json({ ok: true });
+});
+
+// ---- Automation API (lib/automation.js) ----
+// What the automation commands do, per tenant.
+function automationHandlers(t) {
+  const getState = () => {
+    const saved = ensureProfiles(readSettings(t));
+    return {
+      youtube: { enabled: t.yt.isEnabled(), mode: t.ytSchedule.state().mode },
+      timer: { ...t.timer.get(), valueMs: t.timer.value() },
+      announce: resolveProfile(saved).announce,
+      hiddenRegions: normalizeHiddenRegions(saved.hiddenRegions)
+    };
+  };
+  return {
+    getState,
+    toast({ title, body, ms }) {
+      const id = `auto-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+      broadcastEvent(t, { kind: 'toast', id, title, body, ms });
+      return { id };
+    },
+    // Fixed text of the active profile (shown when no rotating announcement is due).
+    setAnnounce(text, key) {
+      const prev = ensureProfiles(readSettings(t));
+      const { id, ...fields } = resolveProfile(prev);
+      writeSettings(t, updateProfile(prev, id, { ...fields, announce: text }), { actor: `apikey:${key.name}`, action: 'automation' });
+      broadcastSettings(t);
+      return getState();
+    },
+    // mode: off | on | auto
+    setYouTube(mode) {
+      t.ytSchedule.setMode(mode);
+      return getState();
+    },
+    timer(action, seconds) {
+      return action === 'add' ? t.timer.add(seconds) : t.timer[action]();
+    },
+    // { region: visible }
+    setRegions(map, key) {
+      const settings = readSettings(t);
+      const hidden = new Set(normalizeHiddenRegions(settings.hiddenRegions));
+      for (const [region, visible] of Object.entries(map)) {
+        if (!OVERLAY_REGIONS.includes(region)) throw Object.assign(new Error('invalid_region'), { code: 'invalid_region' });
+        if (visible) hidden.delete(region);
+        else hidden.add(region);
+      }
+      settings.hiddenRegions = normalizeHiddenRegions([...hidden]);
+      writeSettings(t, settings, { actor: `apikey:${key.name}`, action: 'automation' });
+      broadcastSettings(t);
+      return getState();
+    }
+  };
+}
+
+function apiKeyFromRequest(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(String(req.headers.authorization || ''));
+  return m ? m[1] : String(req.headers['x-api-key'] || '');
+}
+
+function requireApiKey(req, res, next) {
+  const key = req.tenant.apiKeys.authenticate(apiKeyFromRequest(req));
+  if (!key) {
+    res.status(401).json({ ok: false, error: 'invalid_api_key' });
+    return;
+  }
+  req.apiKey = key;
+  next();
+}
+
+const AUTOMATION_ERROR_STATUS = { forbidden_scope: 403, key_revoked: 401 };
+
+tenantRouter.get('/api/automation', requireApiKey, (req, res) => {
+  const key = req.apiKey;
+  res.json({
+    ok: true,
+    key: { id: key.id, name: key.name, scopes: key.scopes },
+    commands: listCommands().filter((c) => !c.scope || key.scopes.includes(c.scope)),
+    state: req.tenant.automation.execute(key, { cmd: 'state.get' }).result
+  });
+});
+
+// { id?, cmd, params? } -> same result object as over the WebSocket
+tenantRouter.post('/api/automation', requireApiKey, express.json({ limit: '16kb' }), (req, res) => {
+  const out = req.tenant.automation.execute(req.apiKey, req.body);
+  res.status(out.ok ? 200 : (AUTOMATION_ERROR_STATUS[out.error] || 400)).json(out);
+});
+
+tenantRouter.get('/api/automation/keys', requireControl, (req, res) => {
+  res.json({ keys: req.tenant.apiKeys.list(), scopes: SCOPES, commands: listCommands() });
+});
+
+// { name, scopes: [...] } -> { key, token } (the token is shown only here)
+tenantRouter.post('/api/automation/keys', requireControl, express.json(), (req, res) => {
+  try {
+    res.json({ ok: true, ...req.tenant.apiKeys.create(req.body || {}) });
+  } catch (e) {
+    if (e?.code) {
+      res.status(400).json({ ok: false, error: e.code });
+      return;
+    }
+    throw e;
+  }
+});
+
+tenantRouter.post('/api/automation/keys/:id/revoke', requireControl, (req, res) => {
+  const t = req.tenant;
+  try {
+    const key = t.apiKeys.revoke(String(req.params.id));
+    t.automation.disconnectKey(key.id);
+    res.json({ ok: true, key });
+  } catch (e) {
+    if (e?.code) {
+      res.status(400).json({ ok: false, error: e.code });
+      return;
+    }
+    throw e;
+  }
+});
+
+// ---- Overlay settings (saved) ----
+// What overlays see: GET /api/settings and the `settings` SSE event.
+// The overlay fields come from the requested profile (?profile=) or the
+// active one, flattened to the top level as before profiles existed.
+function publicSettings(t, profileId) {
+  const saved = ensureProfiles(readSettings(t));
+  const { id, name, ...fields } = resolveProfile(saved, profileId);
+  return {
+    ...fields,
+    profile: { id, name },
+    activeProfile: saved.activeProfile,
+    profiles: saved.profiles.map((p) => ({ id: p.id, name: p.name })),
+    alerts: normalizeAlertSettings(saved.alerts),
+    alertMedia: normalizeAlertMedia(saved.alertMedia, isKnownMedia(t)),
+    announcements: normalizeAnnouncements(saved.announcements),
+    hiddenRegions: normalizeHiddenRegions(saved.hiddenRegions)
+  };
+}
+
+// Running overlays re-apply settings on the spot (no OBS reload needed).
+function broadcastSettings(t) {
+  t.events.publish({ kind: 'settings', settings: publicSettings(t), ts: new Date().toISOString() });
+}
+
+// Who changed the settings, for the history: the Basic auth user, or
+// "control" when /control has no password.
+function settingsChange(req, action) {
+  return { actor: parseBasicAuth(req)?.user || 'control', action };
+}
+
+// Saves from a /control route and pushes to the overlays. Values outside the
+// schema (lib/settings-store.js) answer 400 { error: 'invalid_settings', field }.
+function saveSettings(req, res, settings, action) {
+  try {
+    writeSettings(req.tenant, settings, settingsChange(req, action));
+  } catch (e) {
+    if (e?.code === 'invalid_settings') {
+      res.status(400).json({ ok: false, error: e.code, field: e.field });
+      return false;
+    }
+    throw e;
+  }
+  broadcastSettings(req.tenant);
+  return true;
+}
+
+// GET is public so overlay clients can read the saved defaults.
+tenantRouter.get('/api/settings', (req, res) => {
+  const profileId = typeof req.query.profile === 'string' ? req.query.profile : undefined;
+  res.json(publicSettings(req.tenant, profileId));
+});
+
+// POST requires control token.
+// Saves into ?profile=<id> (default: the active profile).
+tenantRouter.post('/api/settings', requireControl, express.json({ limit: '64kb' }), (req, res) => {
+  const t = req.tenant;
+  const b = req.body || {};
+
+  // Keep it intentionally small/safe: only allow expected keys.
+  const next = {
+    announce: typeof b.announce === 'string' ? b.announce : '',
+    xid: typeof b.xid === 'string' ? b.xid : '',
+    fanart: typeof b.fanart === 'string' ? b.fanart : '',
+    logo: typeof b.logo === 'string' ? b.logo : '',
+    logoZoom: typeof b.logoZoom === 'number' ? b.logoZoom : (typeof b.logoZoom === 'string' ? Number(b.logoZoom) : undefined),
+    chat: typeof b.chat === 'string' ? b.chat : '',
+    layout: typeof b.layout === 'string' ? b.layout : undefined
+  };
+  if (!Number.isFinite(next.logoZoom)) delete next.logoZoom;
+  if (typeof b.name === 'string') next.name = b.name;
+  if (b.theme && typeof b.theme === 'object') next.theme = b.theme;
+
+  // Only the profile changes; alert templates/media and the other profiles are kept.
+  const prev = ensureProfiles(readSettings(t));
+  const profileId = typeof req.query.profile === 'string' && req.query.profile ? req.query.profile : prev.activeProfile;
+  let saved;
+  try {
+    saved = updateProfile(prev, profileId, next);
+  } catch (e) {
+    if (e?.code) {
+      res.status(400).json({ ok: false, error: e.code });
+      return;
+    }
+    throw e;
+  }
+
+  if (!saveSettings(req, res, saved, 'settings')) return;
+  res.json({ ok: true, settings: resolveProfile(saved, profileId) });
+});
+
+// Rotating announcements (stored in settings.json as `announcements`, shared by all profiles).
+tenantRouter.post('/api/settings/announcements', requireControl, express.json({ limit: '128kb' }), (req, res) => {
+  const t = req.tenant;
+  const settings = readSettings(t);
+  settings.announcements = normalizeAnnouncements(req.body || []);
+  if (!saveSettings(req, res, settings, 'announcements')) return;
+  res.json({ ok: true, announcements: settings.announcements });
+});
+
+// Overlay regions hidden at runtime (shared by all profiles): { hiddenRegions: ['chat', ...] }
+tenantRouter.post('/api/settings/regions', requireControl, express.json(), (req, res) => {
+  const t = req.tenant;
+  const settings = readSettings(t);
+  settings.hiddenRegions = normalizeHiddenRegions(req.body?.hiddenRegions);
+  if (!saveSettings(req, res, settings, 'regions')) return;
+  res.json({ ok: true, hiddenRegions: settings.hiddenRegions });
+});
+
+// Theme of ?profile=<id> (default: the active profile). Accepts a theme or an
+// exported theme file ({ format, theme }); invalid values fall back to defaults.
+tenantRouter.post('/api/settings/theme', requireControl, express.json({ limit: '16kb' }), (req, res) => {
+  const t = req.tenant;
+  const prev = ensureProfiles(readSettings(t));
+  const profileId = typeof req.query.profile === 'string' && req.query.profile ? req.query.profile : prev.activeProfile;
+  let saved;
+  try {
+    saved = setProfileTheme(prev, profileId, req.body || {});
+  } catch (e) {
+    if (e?.code) {
+      res.status(400).json({ ok: false, error: e.code });
+      return;
+    }
+    throw e;
+  }
+  if (!saveSettings(req, res, saved, 'theme')) return;
+  res.json({ ok: true, theme: resolveProfile(saved, profileId).theme });
+});
+
+// Layout presets with their BrowserSource sizes (public: the overlay reads it too).
+tenantRouter.get('/api/layouts', (req, res) => {
+  res.json({ ok: true, layouts: listLayouts() });
+});
+
+// ---- Profiles (named presets of the overlay fields + theme) ----
+function profilesSummary(settings) {
+  const s = ensureProfiles(settings);
+  return { activeProfile: s.activeProfile, profiles: s.profiles };
+}
+
+// Applies a pure profile operation to settings.json; codes map to 400.
+function changeProfiles(req, res, action, op) {
+  const t = req.tenant;
+  let saved;
+  try {
+    saved = op(readSettings(t));
+  } catch (e) {
+    if (e?.code) {
+      res.status(400).json({ ok: false, error: e.code });
+      return;
+    }
+    throw e;
+  }
+  if (!saveSettings(req, res, saved, action)) return;
+  res.json({ ok: true, ...profilesSummary(saved) });
+}
+
+tenantRouter.get('/api/profiles', requireControl, (req, res) => {
+  res.json({ ok: true, ...profilesSummary(readSettings(req.tenant)) });
+});
+
+// Body: { name, id?, from? } (`from` duplicates an existing profile)
+tenantRouter.post('/api/profiles', requireControl, express.json(), (req, res) => {
+  const b = req.body || {};
+  changeProfiles(req, res, 'profile-create', (s) => createProfile(s, {
+    id: typeof b.id === 'string' && b.id ? b.id : undefined,
+    name: typeof b.name === 'string' ? b.name : '',
+    from: typeof b.from === 'string' && b.from ? b.from : undefined
+  }));
+});
+
+tenantRouter.post('/api/profiles/:id/activate', requireControl, (req, res) => {
+  changeProfiles(req, res, 'profile-activate', (s) => activateProfile(s, String(req.params.id)));
+});
+
+tenantRouter.delete('/api/profiles/:id', requireControl, (req, res) => {
+  const id = String(req.params.id);
+  changeProfiles(req, res, 'profile-delete', (s) => deleteProfile(s, id));
+  // Drop the profile's own uploaded logo, if any.
+  if (res.statusCode === 200 && id !== DEFAULT_PROFILE_ID) {
+    for (const e of ['.png', '.jpg', '.webp', '.gif']) {
+      try { fs.unlinkSync(logoBasePath(req.tenant, id) + e); } catch (_) { /* ignore */ }
+    }
+  }
+});
+
+// Alert queue timing + per-type templates (stored in settings.json as `alerts`).
+tenantRouter.post('/api/settings/alerts', requireControl, express.json({ limit: '64kb' }), (req, res) => {
+  const settings = readSettings(req.tenant);
+  settings.alerts = normalizeAlertSettings(req.body || {});
+  if (!saveSettings(req, res, settings, 'alerts')) return;
+  res.json({ ok: true, alerts: settings.alerts });
+});
+
+// Per-alert sound / image / volume (stored in settings.json as `alertMedia`).
+tenantRouter.post('/api/settings/alert-media', requireControl, express.json({ limit: '64kb' }), (req, res) => {
+  const t = req.tenant;
+  const settings = readSettings(t);
+  settings.alertMedia = normalizeAlertMedia(req.body || {}, isKnownMedia(t));
+  if (!saveSettings(req, res, settings, 'alert-media')) return;
+  res.json({ ok: true, alertMedia: settings.alertMedia });
+});
+
+// ---- Settings history (revisions in lib/settings-store.js) ----
+const REVISION_ERROR_STATUS = { revision_not_found: 404, invalid_settings: 400 };
+
+function revisionError(res, e) {
+  if (!e?.code || !REVISION_ERROR_STATUS[e.code]) throw e;
+  res.status(REVISION_ERROR_STATUS[e.code]).json({ ok: false, error: e.code, field: e.field });
+}
+
+tenantRouter.get('/api/settings/revisions', requireControl, (req, res) => {
+  res.json({ ok: true, revisions: req.tenant.settingsStore.revisions() });
+});
+
+// One revision with its changes: [{ path, before, after }]
+tenantRouter.get('/api/settings/revisions/:rev', requireControl, (req, res) => {
+  try {
+    res.json({ ok: true, revision: req.tenant.settingsStore.revision(req.params.rev) });
+  } catch (e) {
+    revisionError(res, e);
+  }
+});
+
+// Puts the settings back as they were after :rev (saved as a new revision;
+// null when they already are).
+tenantRouter.post('/api/settings/revisions/:rev/restore', requireControl, (req, res) => {
+  const t = req.tenant;
+  let revision;
+  try {
+    revision = t.settingsStore.restore(req.params.rev, settingsChange(req, 'restore'));
+  } catch (e) {
+    revisionError(res, e);
+    return;
+  }
+  broadcastSettings(t);
+  res.json({ ok: true, revision });
+});
+
+// ---- Debug state endpoint (for preview UI) ----
+tenantRouter.get('/api/yt/state', (req, res) => {
+  const t = req.tenant;
+  const token = t.tokenStore.status();
+  const { tokenRefreshAt, ...yt } = t.yt.state();
+  res.json({
+    tenant: { slug: t.slug, title: tenantTitle(t.slug), basePath: t.basePath },
+    oauthConfigured,
+    ...authStatusSummary(t),
+    hasRefreshToken: token.hasRefreshToken,
+    token: { ...token, nextRefreshAt: tokenRefreshAt },
+    ...yt,
+    sseClients: t.events.size(),
+    lastStatus: t.lastStatus
+  });
+});
+
+// ---- Diagnostics endpoint (preview/debug) ----
+// Returns structured details to quickly identify why authedChannel stays '-' or why live isn't detected.
+// This endpoint does NOT expose raw tokens. It spends quota with the server-side
+// tokens, so it is control-protected.
+tenantRouter.get('/api/yt/diagnose', requireControl, async (req, res) => {
+  const t = req.tenant;
+  const ytEnabled = t.yt.isEnabled();
+  const tokens = t.tokenStore.getTokens();
+  if (!oauthConfigured) {
+    res.status(200).json({
+      ok: false,
+      reason: 'oauth_not_configured',
+      oauthConfigured,
+      ytEnabled,
     });
     return;
   }
   if (!tokens) {
+    const { needsReauth, reauthReason } = t.tokenStore.status();
     res.status(200).json({
       ok: false,
-      reason: 'not_authed',
+      reason: needsReauth ? 'needs_reauth' : 'not_authed',
+      reauthReason,
       oauthConfigured,
       ytEnabled,
     });
@@ -844,9 +1418,7 @@ app.get('/api/yt/diagnose', async (req, res) => {
     expired: (typeof tokens.expiry_date === 'number') ? (Date.now() > tokens.expiry_date) : null,
   };
 
-  const auth = createOAuthClient();
-  auth.setCredentials(tokens);
-  const youtube = google.youtube({ version: 'v3', auth });
+  const youtube = quotaBudget.wrap(google.youtube({ version: 'v3', auth: t.yt.getYouTubeAuth() }), { tenant: t.slug, source: 'diagnose' });
 
   const out = {
     ok: true,
@@ -871,6 +1443,10 @@ app.get('/api/yt/diagnose', async (req, res) => {
   } catch (e) {
     const info = summarizeGoogleApiError(e);
     out.checks.channelsList = { ok: false, error: info };
+    if (t.yt.handleAuthError(e)) {
+      res.status(200).json({ ...out, ok: false, reason: 'needs_reauth' });
+      return;
+    }
   }
 
   // liveBroadcasts.list (mine=true, status=active)
@@ -895,48 +1471,419 @@ app.get('/api/yt/diagnose', async (req, res) => {
   res.status(200).json(out);
 });
 
-// ---- SSE events endpoint ----
-app.get('/api/events', (req, res) => {
-  res.status(200);
-  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
-  res.setHeader('Cache-Control', 'no-cache, no-transform');
-  res.setHeader('Connection', 'keep-alive');
+// ---- Quota budget (shared by all tenants) ----
+tenantRouter.get('/api/yt/quota', requireControl, (req, res) => {
+  res.json({ ok: true, quota: quotaBudget.state(), canConfigure: checkBasicAuth(req) });
+});
+
+// The budget is the deployment's, so only the admin credentials may change it.
+tenantRouter.post('/api/yt/quota', requireControl, express.json(), (req, res) => {
+  if (!checkBasicAuth(req)) {
+    res.status(403).json({ ok: false, error: 'admin_only' });
+    return;
+  }
+  try {
+    res.json({ ok: true, quota: quotaBudget.configure(req.body || {}) });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e?.code || 'invalid_request' });
+  }
+});
+
+// ---- Chat history (per broadcast) ----
+// Control-protected: it is a searchable record of the audience.
+function historyFilters(q) {
+  return {
+    broadcastId: typeof q.broadcast === 'string' ? q.broadcast : '',
+    q: typeof q.q === 'string' ? q.q : '',
+    author: typeof q.author === 'string' ? q.author : '',
+    type: typeof q.type === 'string' ? q.type : '',
+    members: q.members === '1' || q.members === 'true',
+    from: typeof q.from === 'string' ? q.from : '',
+    to: typeof q.to === 'string' ? q.to : ''
+  };
+}
+
+tenantRouter.get('/api/chat/broadcasts', requireControl, (req, res) => {
+  res.json({ broadcasts: req.tenant.chatHistory.listBroadcasts() });
+});
+
+tenantRouter.get('/api/chat/history', requireControl, (req, res) => {
+  const r = req.tenant.chatHistory.query({
+    ...historyFilters(req.query),
+    offset: req.query.offset,
+    limit: req.query.limit
+  });
+  res.json(r);
+});
+
+tenantRouter.get('/api/chat/history/export', requireControl, (req, res) => {
+  const format = req.query.format === 'csv' ? 'csv' : 'jsonl';
+  const { broadcast, body } = req.tenant.chatHistory.exportAs(format, historyFilters(req.query));
+  if (!broadcast) {
+    res.status(404).json({ ok: false, error: 'no_history' });
+    return;
+  }
+  const name = `chat-${broadcast.id}.${format}`.replace(/[^A-Za-z0-9_.-]/g, '_');
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+  res.send(body);
+});
+
+tenantRouter.get('/api/chat/history/retention', requireControl, (req, res) => {
+  res.json({ retentionDays: req.tenant.chatHistory.getRetentionDays() });
+});
+
+tenantRouter.post('/api/chat/history/retention', requireControl, express.json(), (req, res) => {
+  const days = Number(req.body?.retentionDays);
+  if (!Number.isFinite(days) || days < 0) {
+    res.status(400).json({ ok: false, error: 'invalid_retention' });
+    return;
+  }
+  res.json({ ok: true, retentionDays: req.tenant.chatHistory.setRetentionDays(days) });
+});
 
-  // Initial ping
-  res.write(`event: yt\ndata: ${escapeSseData({ kind: 'status', level: 'info', message: 'connected' })}\n\n`);
+// ---- Broadcast reports (see lib/stream-stats.js) ----
+tenantRouter.get('/api/reports', requireControl, (req, res) => {
+  res.json({ reports: req.tenant.streamStats.list() });
+});
 
-  sseClients.add(res);
+// One row per broadcast, for comparing streams.
+tenantRouter.get('/api/reports/export', requireControl, (req, res) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="reports.csv"');
+  res.send(req.tenant.streamStats.exportCsv());
+});
 
-  // Start polling for this session (single session model)
-  ensurePolling(req.session);
+// ?download=1 sends the report as a JSON file.
+tenantRouter.get('/api/reports/:id', requireControl, (req, res) => {
+  const report = req.tenant.streamStats.get(req.params.id);
+  if (!report) {
+    res.status(404).json({ ok: false, error: 'report_not_found' });
+    return;
+  }
+  if (req.query.download === '1') {
+    const name = `report-${report.id}.json`.replace(/[^A-Za-z0-9_.-]/g, '_');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+  }
+  res.json(report);
+});
+
+tenantRouter.delete('/api/reports/:id', requireControl, (req, res) => {
+  if (!req.tenant.streamStats.remove(req.params.id)) {
+    res.status(404).json({ ok: false, error: 'report_not_found' });
+    return;
+  }
+  res.json({ ok: true });
+});
 
-  req.on('close', () => {
-    sseClients.delete(res);
+// ---- Chat avatars (cached proxy, see lib/avatar-proxy.js) ----
+tenantRouter.get('/api/avatar', (req, res) => {
+  avatarProxy.handle(req, res).catch(() => {
+    if (!res.headersSent) res.status(502).end();
+  });
+});
+
+// ---- Timer (countdown / stopwatch) ----
+// GET is public: overlays render the state and use `now` to correct clock skew.
+tenantRouter.get('/api/timer', (req, res) => {
+  res.json({ timer: req.tenant.timer.get(), now: Date.now() });
+});
+
+tenantRouter.post('/api/timer/config', requireControl, express.json(), (req, res) => {
+  try {
+    res.json({ ok: true, timer: req.tenant.timer.configure(req.body || {}) });
+  } catch (e) {
+    if (e?.code) {
+      res.status(400).json({ ok: false, error: e.code });
+      return;
+    }
+    throw e;
+  }
+});
+
+// start | pause | resume | reset | add ({ seconds }, negative to subtract)
+const TIMER_ACTIONS = ['start', 'pause', 'resume', 'reset', 'add'];
+tenantRouter.post('/api/timer/:action', requireControl, express.json(), (req, res) => {
+  const action = req.params.action;
+  if (!TIMER_ACTIONS.includes(action)) {
+    res.status(400).json({ ok: false, error: 'invalid_action' });
+    return;
+  }
+  try {
+    const timer = action === 'add' ? req.tenant.timer.add(req.body?.seconds) : req.tenant.timer[action]();
+    res.json({ ok: true, timer });
+  } catch (e) {
+    if (e?.code) {
+      res.status(400).json({ ok: false, error: e.code });
+      return;
+    }
+    throw e;
+  }
+});
+
+// ---- Supporter goals ----
+// GET is public so overlays can render the bars.
+tenantRouter.get('/api/goals', (req, res) => {
+  res.json(req.tenant.goals.get());
+});
+
+function sendGoalsResult(res, fn) {
+  try {
+    res.json({ ok: true, ...fn() });
+  } catch (e) {
+    if (e?.code) {
+      res.status(e.code === 'goal_not_found' ? 404 : 400).json({ ok: false, error: e.code });
+      return;
+    }
+    throw e;
+  }
+}
+
+// { goals: [{ id?, type, label, target, visible }], currency?, rates? }
+tenantRouter.post('/api/goals', requireControl, express.json({ limit: '64kb' }), (req, res) => {
+  sendGoalsResult(res, () => req.tenant.goals.configure(req.body || {}));
+});
+
+// { delta } adds to the progress, { value } sets it.
+tenantRouter.post('/api/goals/:id/adjust', requireControl, express.json(), (req, res) => {
+  sendGoalsResult(res, () => req.tenant.goals.adjust(req.params.id, req.body || {}));
+});
+
+tenantRouter.post('/api/goals/:id/reset', requireControl, (req, res) => {
+  sendGoalsResult(res, () => req.tenant.goals.reset(req.params.id));
+});
+
+// ---- Viewer polls ----
+// GET current is public: overlays render the poll card.
+tenantRouter.get('/api/polls/current', (req, res) => {
+  res.json({ poll: req.tenant.polls.current(), now: Date.now() });
+});
+
+tenantRouter.get('/api/polls', requireControl, (req, res) => {
+  res.json(req.tenant.polls.get());
+});
+
+function sendPollResult(res, fn) {
+  try {
+    res.json({ ok: true, poll: fn() || null });
+  } catch (e) {
+    if (e?.code) {
+      res.status(e.code === 'poll_active' ? 409 : 400).json({ ok: false, error: e.code });
+      return;
+    }
+    throw e;
+  }
+}
+
+// { question, options: ['A', 'B'], durationSec, command: '!vote', memberWeight, hideVotes }
+tenantRouter.post('/api/polls', requireControl, express.json(), (req, res) => {
+  sendPollResult(res, () => req.tenant.polls.start(req.body || {}));
+});
+
+tenantRouter.post('/api/polls/end', requireControl, (req, res) => {
+  sendPollResult(res, () => req.tenant.polls.end());
+});
+
+tenantRouter.post('/api/polls/clear', requireControl, (req, res) => {
+  sendPollResult(res, () => req.tenant.polls.clear());
+});
+
+// ---- Featured chat message (chat console in /control) ----
+// GET is public: overlays render the featured card.
+tenantRouter.get('/api/featured', (req, res) => {
+  res.json({ message: req.tenant.featured.get() });
+});
+
+// The console's chat event plus { durationSec } (0 = until cleared).
+tenantRouter.post('/api/featured', requireControl, express.json({ limit: '16kb' }), (req, res) => {
+  try {
+    res.json({ ok: true, message: req.tenant.featured.show(req.body || {}) });
+  } catch (e) {
+    if (e?.code) {
+      res.status(400).json({ ok: false, error: e.code });
+      return;
+    }
+    throw e;
+  }
+});
+
+tenantRouter.post('/api/featured/clear', requireControl, (req, res) => {
+  req.tenant.featured.clear();
+  res.json({ ok: true });
+});
+
+// ---- Chat moderation ----
+tenantRouter.get('/api/moderation/rules', requireControl, (req, res) => {
+  res.json({ rules: req.tenant.chatFilter.getRules() });
+});
+
+tenantRouter.post('/api/moderation/rules', requireControl, express.json({ limit: '256kb' }), (req, res) => {
+  try {
+    res.json({ ok: true, rules: req.tenant.chatFilter.setRules(req.body || {}) });
+  } catch (e) {
+    if (e?.code) {
+      res.status(400).json({ ok: false, error: e.code, detail: e.detail || null });
+      return;
+    }
+    throw e;
+  }
+});
+
+// Manually take a message (or every message of an author) off the overlay.
+// { id } hides one message; { channelId, block: true } also blocks the author.
+tenantRouter.post('/api/moderation/hide', requireControl, express.json(), (req, res) => {
+  const t = req.tenant;
+  const id = typeof req.body?.id === 'string' ? req.body.id : '';
+  const channelId = typeof req.body?.channelId === 'string' ? req.body.channelId : '';
+  const block = Boolean(req.body?.block);
+  if (!id && !(block && channelId)) {
+    res.status(400).json({ ok: false, error: 'missing_target' });
+    return;
+  }
+  if (block) {
+    t.chatFilter.blockChannel(channelId);
+    broadcastEvent(t, { kind: 'retract', channelId, reason: 'blocked' });
+  }
+  if (id) broadcastEvent(t, { kind: 'retract', ids: [id], reason: 'hidden' });
+  res.json({ ok: true });
+});
+
+// ---- SSE events endpoint ----
+// Resume: EventSource sends Last-Event-ID on its own reconnects; after a page
+// reload the overlay passes its last seen id as ?lastEventId= instead.
+// ?backlog=N restores the last N chat messages (only on a fresh page load).
+tenantRouter.get('/api/events', (req, res) => {
+  const header = req.get('Last-Event-ID');
+  req.tenant.events.attach(req, res, {
+    resumeFrom: header || (typeof req.query.lastEventId === 'string' ? req.query.lastEventId : ''),
+    backlog: header ? 0 : Number(req.query.backlog || 0)
   });
 });
 
 // Serve main.html at /
-app.get('/', (_req, res) => {
+tenantRouter.get('/', (_req, res) => {
   res.sendFile(path.join(rootDir, 'main.html'));
 });
 
 // Optional: allow /main.html
-app.get('/main.html', (_req, res) => {
+tenantRouter.get('/main.html', (_req, res) => {
   res.sendFile(path.join(rootDir, 'main.html'));
 });
 
+// Older versions kept tokens in the cookie session. Move them to the
+// server-side store the first time that browser opens the control page.
+function migrateSessionTokens(req, _res, next) {
+  const legacy = req.session?.oauthTokens;
+  if (legacy) {
+    if (!req.tenant.tokenStore.status().stored) {
+      req.tenant.yt.authorize(legacy);
+    }
+    req.session.oauthTokens = null;
+  }
+  next();
+}
+
 // Control page
-app.get('/control', requireControl, (_req, res) => {
+tenantRouter.get('/control', requireControl, migrateSessionTokens, (_req, res) => {
   res.sendFile(path.join(rootDir, 'control.html'));
 });
 
-app.get('/control.html', requireControl, (_req, res) => {
+tenantRouter.get('/control.html', requireControl, migrateSessionTokens, (_req, res) => {
   res.sendFile(path.join(rootDir, 'control.html'));
 });
 
+app.use('/t/:slug', (req, res, next) => {
+  const slug = String(req.params.slug || '').toLowerCase();
+  const t = isValidSlug(slug) ? tenants.get(slug) : null;
+  if (!t) {
+    res.status(404).send('Unknown tenant');
+    return;
+  }
+  req.tenant = t;
+  next();
+}, tenantRouter);
+
+app.use((req, _res, next) => {
+  req.tenant = tenants.get(DEFAULT_SLUG);
+  next();
+}, tenantRouter);
+
 const host = process.env.HOST || '0.0.0.0';
 
-app.listen(port, host, () => {
+const server = app.listen(port, host, () => {
   // eslint-disable-next-line no-console
-  console.log(`Streaming-Screen listening on http://${host}:${port}`);
+  console.log(`Streaming-Screen listening on http://${host}:${port} (tenants=${tenants.size})`);
+
+  // Background workers: resume from stored tokens (no overlay/browser needed).
+  for (const t of tenants.values()) {
+    t.yt.start();
+    t.ytSchedule.start();
+    t.twitch.start();
+  }
+
+  // Chat history retention (also applied when a new broadcast starts).
+  const pruneHistory = () => {
+    for (const t of tenants.values()) {
+      try { t.chatHistory.prune(); } catch (_) { /* ignore */ }
+    }
+    avatarProxy.prune();
+  };
+  pruneHistory();
+  setInterval(pruneHistory, 60 * 60 * 1000).unref();
+});
+
+// Automation WebSocket: /api/automation/ws (or /t/<slug>/api/automation/ws).
+// Browsers cannot set headers on a WebSocket, so the key may also be ?key=.
+server.on('upgrade', (req, socket, head) => {
+  // Errors here would only reach the uncaughtException logger and leave the
+  // socket open: every path answers (or drops) the socket.
+  let url;
+  try {
+    url = new URL(req.url, 'http://localhost');
+  } catch (_) {
+    rejectUpgrade(socket, 400, 'bad_request');
+    return;
+  }
+  const m = /^(?:\/t\/([^/]+))?\/api\/automation\/ws\/?$/.exec(url.pathname);
+  if (!m) {
+    rejectUpgrade(socket, 404, 'not_found');
+    return;
+  }
+  const slug = m[1] ? m[1].toLowerCase() : DEFAULT_SLUG;
+  const t = isValidSlug(slug) ? tenants.get(slug) : null;
+  if (!t) {
+    rejectUpgrade(socket, 404, 'unknown_tenant');
+    return;
+  }
+  let key;
+  try {
+    key = t.apiKeys.authenticate(apiKeyFromRequest(req) || url.searchParams.get('key'));
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error('[automation] key check failed', e);
+    rejectUpgrade(socket, 500, 'internal_error');
+    return;
+  }
+  if (!key) {
+    rejectUpgrade(socket, 401, 'invalid_api_key');
+    return;
+  }
+  try {
+    t.automation.connect(key, (events) => acceptWebSocket(req, socket, head, events));
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error('[automation] connect failed', e);
+    // The handshake may already be answered: just drop the connection.
+    socket.destroy();
+  }
 });
+
+// ---- Shutdown ----
+// Quota usage is saved a few seconds after each call: write it before exiting
+// (Railway / Docker stop with SIGTERM, Ctrl+C is SIGINT).
+for (const sig of ['SIGTERM', 'SIGINT']) {
+  process.once(sig, () => {
+    try { quotaBudget.flush(); } catch (_) { /* ignore */ }
+    process.exit(0);
+  });
+}